@@ -9,28 +9,67 @@
 
 var LANG = Y.Lang,
     IS_BOOLEAN = LANG.isBoolean,
+    IS_NUMBER = LANG.isNumber,
+    IS_OBJECT = LANG.isObject,
     DATA_SOURCE = 'dataSource',
-    EVENT_ERROR = 'couch:error';
+    EVENT_ERROR = 'couch:error',
+    EVENT_RETRY = 'couch:retry';
 
 Y.namespace('Couch').Base = Y.Base.create('couch-base', Y.Base, [], {
     
     /**
-     * Fired when a datasource fails. Logs an error message by default.
+     * Fired when a datasource fails. Carries the readable message and the
+     *   Y.Couch.Error in the error property. Logs the message by default.
      * @event couch:error
      */
     
+    /**
+     * Fired before a failed request is sent again. Carries the attempt
+     *   number, the delay in milliseconds, the status and error message of
+     *   the failed attempt and the method and url of the request. Preventing
+     *   the event stops retrying and fails the request.
+     * @event couch:retry
+     */
+    
+    /**
+     * Retry policy for the next request only, set by withRetry
+     * @protected
+     * @property _nextRetry
+     */
+    _nextRetry : undefined,
+    
+    /**
+     * Whether ATTRS.dataSource was configured, in which case it is used for
+     *   every request instead of new data sources
+     * @protected
+     * @property _sharedDataSource
+     */
+    _sharedDataSource : false,
+    
+    /**
+     * Adds the attributes on construction so the setters building the local
+     *   _uri run before the initializers send their first request
+     * @protected
+     * @property _lazyAddAttrs
+     */
+    _lazyAddAttrs : false,
+    
     /**
      * Publishes the couch:error event
      * @public
      * @method initializer
+     * @param {Object} config
      * @see Y.Couch.Base#_defErrorFn
      */
-    initializer : function () {
+    initializer : function (config) {
+        this._sharedDataSource = !!(config && config.dataSource);
         this.publish(EVENT_ERROR, { defaultFn : this._defErrorFn });
     },
     
     /**
-     * Returns the local data source or a new one based on the getNew param
+     * Returns the local data source or a new one based on the getNew param.
+     *   A configured ATTRS.dataSource, such as a Y.Couch.MemoryDataSource, is
+     *   always returned.
      * @protected
      * @method _getDataSource
      * @param {Boolean} getNew
@@ -39,21 +78,419 @@ Y.namespace('Couch').Base = Y.Base.create('couch-base', Y.Base, [], {
     _getDataSource : function (getNew) {
         Y.log('_getDataSource', 'info', 'Y.Couch');
         
-        if (getNew === true) {
+        if (getNew === true && !this._sharedDataSource) {
             return this._newDataSource();
         }
         return this.get(DATA_SOURCE);
     },
     
     /**
-     * Returns a new data source preset with the local attributes
+     * Applies a retry policy to the next request only. The policy is merged
+     *   over ATTRS.retry, and false disables retrying.
+     * @public
+     * @method withRetry
+     * @param policy {Object|Boolean}
+     * @chainable
+     */
+    withRetry : function (policy) {
+        this._nextRetry = policy;
+        return this;
+    },
+    
+    /**
+     * Returns a new data source preset with ATTRS.dataSourceConfig and the
+     *   authentication configuration. Other attributes are not passed along
+     *   since names such as timeout mean something else on the data source.
      * @protected
      * @method _newDataSource
      * @returns Y.Couch.DataSource
      */
     _newDataSource : function () {
         Y.log('_newDataSource', 'info', 'Y.Couch');
-        return new Y.Couch.DataSource(this.getAttrs());
+        return new Y.Couch.DataSource(Y.merge(this.get('dataSourceConfig'), this._getAuthConfig()));
+    },
+    
+    /**
+     * Sends a request through a data source and returns a promise for the
+     *   parsed response. On success the response is fired with config.event
+     *   or passed to config.success. On failure config.failure may handle the
+     *   error by returning a value or promise to resolve with. Otherwise
+     *   couch:error is fired and the promise is rejected with a
+     *   Y.Couch.Error.
+     * @protected
+     * @method _sendRequest
+     * @param config {Object} Request configuration
+     *   <dl>
+     *     <dt>url</dt><dd>URI of the request</dd>
+     *     <dt>method</dt><dd>HTTP method. Defaults to GET</dd>
+     *     <dt>headers</dt><dd>Headers added to the JSON Content-Type</dd>
+     *     <dt>data</dt><dd>Request body or query parameters</dd>
+     *     <dt>xdr</dt><dd>Cross domain configuration passed to Y.io</dd>
+     *     <dt>getNew</dt><dd>Set to false to use the local data source</dd>
+     *     <dt>raw</dt><dd>Resolve with the response text instead of JSON,
+     *       or auto to parse only responses with a JSON Content-Type</dd>
+     *     <dt>responseType</dt><dd>arraybuffer or blob to resolve with the
+     *       response body read as binary</dd>
+     *     <dt>progress</dt><dd>Called with each chunk of the response text
+     *       as it arrives, such as the lines of a continuous feed</dd>
+     *     <dt>event</dt><dd>Event fired with the response on success</dd>
+     *     <dt>success</dt><dd>Called with the response and io response on
+     *       success. A returned value replaces the resolved response</dd>
+     *     <dt>failure</dt><dd>Called with the datasource event on failure</dd>
+     *     <dt>message</dt><dd>Error message prefix</dd>
+     *     <dt>operation</dt><dd>Name of the calling method, stored in
+     *       errors</dd>
+     *     <dt>retry</dt><dd>Retry policy for this request, merged over
+     *       ATTRS.retry, or false to disable retrying</dd>
+     *     <dt>idempotent</dt><dd>Set to true for requests which are safe to
+     *       retry regardless of the method, such as POST queries</dd>
+     *     <dt>cache</dt><dd>In offline mode, cache the response and fall back
+     *       to the cached copy when the server cannot be reached</dd>
+     *   </dl>
+     * @return Y.Promise The data source and transaction id of the request
+     *   are stored in the dataSource and transaction properties of the promise
+     */
+    _sendRequest : function (config) {
+        var ds = this._getDataSource(config.getNew !== false),
+            policy = this._getRetryPolicy(config.retry !== undefined ? config.retry : this._nextRetry),
+            attempt = 0,
+            cacheKey = config.cache && this.get('offline') ? this._getCacheKey(config) : null,
+            transaction,
+            promise;
+        
+        this._nextRetry = undefined;
+        
+        promise = new Y.Promise(Y.bind(function (resolve, reject) {
+            var send,
+                succeed = Y.bind(function (response, io, cached) {
+                    var result;
+                    
+                    if (config.event) {
+                        this.fire(config.event, { response : response, cached : cached });
+                    }
+                    
+                    if (config.success) {
+                        result = config.success.call(this, response, io);
+                    }
+                    
+                    resolve(result === undefined ? response : result);
+                }, this),
+                fail = Y.bind(function (e, message) {
+                    var io = e.response.results[0] || {},
+                        handled = config.failure ? config.failure.call(this, e) : undefined,
+                        cached = cacheKey && this._isNetworkError(io) ?
+                            Y.Couch.OfflineStore.getDefault().getCached(cacheKey) : null,
+                        error = Y.Couch.Error.fromResponse(io, {
+                            method : config.method || 'GET',
+                            url : config.url,
+                            operation : config.operation
+                        });
+                    
+                    if (handled !== undefined) {
+                        resolve(handled);
+                        return;
+                    }
+                    
+                    if (cached !== null) {
+                        succeed(cached, null, true);
+                        return;
+                    }
+                    
+                    error.message = config.message + ': ' + (error.reason || message);
+                    
+                    this.fire(EVENT_ERROR, {
+                        message : error.message,
+                        error : error
+                    });
+                    reject(error);
+                }, this);
+            
+            send = Y.bind(function () {
+                attempt += 1;
+                
+                ds.set('source', config.url);
+                
+                return ds.sendRequest({
+                    cfg : {
+                        headers : Y.merge({ 'Content-Type' : 'application/json' }, config.headers),
+                        method : config.method || 'GET',
+                        data : config.data,
+                        xdr : config.xdr,
+                        responseType : config.responseType,
+                        progress : config.progress ? Y.bind(config.progress, this) : undefined
+                    },
+                    callback : {
+                        
+                        success: Y.bind(function (e) {
+                            var io = e.response.results[0],
+                                response;
+                            
+                            try {
+                                response = config.responseType ? io.response : this._parseResponse(io, config.raw);
+                            } catch (ex) {
+                                fail(e, 'Invalid JSON response');
+                                return;
+                            }
+                            
+                            if (cacheKey) {
+                                Y.Couch.OfflineStore.getDefault().cache(cacheKey, response);
+                            }
+                            
+                            succeed(response, io, false);
+                        }, this),
+                        
+                        failure: Y.bind(function (e) {
+                            var io = e.response.results[0] || {},
+                                delay = this._getRetryDelay(policy, attempt, config, io);
+                            
+                            if (delay !== null && this.fire(EVENT_RETRY, {
+                                    attempt : attempt,
+                                    retries : policy.retries,
+                                    delay : delay,
+                                    status : io.status,
+                                    message : e.error.message,
+                                    method : config.method || 'GET',
+                                    url : config.url
+                                })) {
+                                Y.later(delay, this, send);
+                                return;
+                            }
+                            
+                            fail(e, e.error.message);
+                        }, this)
+                    }
+                });
+            }, this);
+            
+            transaction = send();
+        }, this));
+        
+        promise.dataSource = ds;
+        promise.transaction = transaction;
+        
+        return promise;
+    },
+    
+    /**
+     * Returns the body of a successful response. With raw set to auto, the
+     *   body is parsed when the Content-Type is JSON and returned as text
+     *   otherwise, such as the HTML or CSV of show and list functions.
+     * @protected
+     * @method _parseResponse
+     * @param io {Object} Response of the request
+     * @param raw {Boolean|String} true, false or auto
+     * @returns {Any}
+     */
+    _parseResponse : function (io, raw) {
+        var type = io.getResponseHeader ? io.getResponseHeader('Content-Type') : null;
+        
+        if (raw === 'auto') {
+            raw = type ? !/json/i.test(type) : false;
+        }
+        
+        return raw ? io.responseText : Y.JSON.parse(io.responseText);
+    },
+    
+    /**
+     * Fires couch:error with the message and returns a promise rejected with
+     *   a Y.Couch.Error, for requests which cannot be sent
+     * @protected
+     * @method _rejectRequest
+     * @param message {String}
+     * @param operation {String} <optional> Name of the calling method
+     * @return Y.Promise
+     */
+    _rejectRequest : function (message, operation) {
+        var error = new Y.Couch.Error({
+            message : message,
+            operation : operation
+        });
+        
+        this._nextRetry = undefined;
+        this.fire(EVENT_ERROR, {
+            message : message,
+            error : error
+        });
+        
+        return Y.Promise.reject(error);
+    },
+    
+    /**
+     * Returns the retry policy for a request, or null when the request is
+     *   not retried
+     * @protected
+     * @method _getRetryPolicy
+     * @param override {Object|Boolean} <optional> Policy of the request
+     * @returns {Object}
+     */
+    _getRetryPolicy : function (override) {
+        var policy = this.get('retry');
+        
+        if (override === false || (policy === false && !IS_OBJECT(override))) {
+            return null;
+        }
+        
+        return Y.merge(Y.Couch.Base.RETRY, IS_OBJECT(policy) ? policy : null, override);
+    },
+    
+    /**
+     * Returns the milliseconds to wait before sending a failed request again,
+     *   or null when it should not be retried. Network errors, 429 and 5xx
+     *   responses are retried with exponential backoff and jitter, unless the
+     *   response asks for a delay with Retry-After. Unless policy.idempotentOnly
+     *   is false, only GET and HEAD requests, PUT requests with a revision and
+     *   requests flagged as idempotent are retried.
+     * @protected
+     * @method _getRetryDelay
+     * @param policy {Object}
+     * @param attempt {Number} Number of the failed attempt
+     * @param config {Object} Request configuration
+     * @param io {Object} Response of the failed attempt
+     * @returns {Number}
+     */
+    _getRetryDelay : function (policy, attempt, config, io) {
+        var status = io.status || 0,
+            retryAfter = io.getResponseHeader ? io.getResponseHeader('Retry-After') : null,
+            delay;
+        
+        if (!policy || attempt > policy.retries || io.statusText === 'abort') {
+            return null;
+        }
+        
+        if (status !== 0 && status !== 429 && status < 500) {
+            return null;
+        }
+        
+        if (policy.idempotentOnly && !config.idempotent && !this._isIdempotent(config)) {
+            return null;
+        }
+        
+        if (retryAfter) {
+            delay = IS_NUMBER(+retryAfter) ? retryAfter * 1000 : Date.parse(retryAfter) - new Date().getTime();
+            
+            if (delay >= 0) {
+                return delay;
+            }
+        }
+        
+        delay = Math.min(policy.delay * Math.pow(policy.factor, attempt - 1), policy.maxDelay);
+        
+        return Math.round(delay * (1 - policy.jitter * Math.random()));
+    },
+    
+    /**
+     * Returns whether a request can be sent again without side effects. GET
+     *   and HEAD requests are, and so are PUT requests carrying a revision in
+     *   the url or the body.
+     * @protected
+     * @method _isIdempotent
+     * @param config {Object} Request configuration
+     * @returns {Boolean}
+     */
+    _isIdempotent : function (config) {
+        var method = (config.method || 'GET').toUpperCase(),
+            data;
+        
+        if (method === 'GET' || method === 'HEAD') {
+            return true;
+        }
+        
+        if (method !== 'PUT') {
+            return false;
+        }
+        
+        if (/[?&]rev=/.test(config.url)) {
+            return true;
+        }
+        
+        try {
+            data = Y.JSON.parse(config.data);
+        } catch (ex) {
+            return false;
+        }
+        
+        return !!(data && data._rev);
+    },
+    
+    /**
+     * Returns whether a request failed because the server could not be
+     *   reached, as opposed to being aborted or answered with an error status
+     * @protected
+     * @method _isNetworkError
+     * @param io {Object} Response of the failed request
+     * @returns {Boolean}
+     */
+    _isNetworkError : function (io) {
+        return !io.status && io.statusText !== 'abort';
+    },
+    
+    /**
+     * Accepts booleans, and only turns offline mode on when the
+     *   couch-offline-store module is loaded
+     * @protected
+     * @method _offlineValidator
+     * @param val {Boolean}
+     * @returns {Boolean}
+     */
+    _offlineValidator : function (val) {
+        if (val === true && !Y.Couch.OfflineStore) {
+            Y.log('Offline mode needs the couch-offline-store module', 'warn', 'Y.Couch');
+            return false;
+        }
+        
+        return IS_BOOLEAN(val);
+    },
+    
+    /**
+     * Returns the key of the cached copy of a request in the offline store
+     * @protected
+     * @method _getCacheKey
+     * @param config {Object} Request configuration
+     * @returns {String}
+     */
+    _getCacheKey : function (config) {
+        var data = config.data;
+        
+        return (config.method || 'GET') + ' ' + config.url +
+            (data ? ' ' + (LANG.isString(data) ? data : Y.QueryString.stringify(data)) : '');
+    },
+    
+    /**
+     * Returns the configuration to pass along to Y.Couch objects created from
+     *   this one
+     * @protected
+     * @method _getChildConfig
+     * @returns {Object}
+     */
+    _getChildConfig : function () {
+        var config = Y.merge(this._getAuthConfig(), {
+            dataSourceConfig : this.get('dataSourceConfig'),
+            offline : this.get('offline')
+        });
+        
+        if (this._sharedDataSource) {
+            config.dataSource = this.get(DATA_SOURCE);
+        }
+        
+        if (this.get('connect')) {
+            config.connect = this.get('connect');
+        }
+        
+        return config;
+    },
+    
+    /**
+     * Returns the authentication configuration to pass along to Y.Couch
+     *   objects created from this one
+     * @protected
+     * @method _getAuthConfig
+     * @returns {Object}
+     */
+    _getAuthConfig : function () {
+        return {
+            credentials : this.get('credentials'),
+            withCredentials : this.get('withCredentials')
+        };
     },
     
     /**
@@ -90,16 +527,110 @@ Y.namespace('Couch').Base = Y.Base.create('couch-base', Y.Base, [], {
          */
         dataSource : {
             valueFn : '_createDefaultDataSource'
+        },
+        
+        /**
+         * Configuration of the data sources created by this object, such as
+         *   headers, timeout, requestInterceptors and responseInterceptors.
+         *   Not applied to a configured ATTRS.dataSource. Passed along to the
+         *   Y.Couch objects created from this one.
+         * @attribute dataSourceConfig
+         * @type Object
+         * @see Y.Couch.DataSource
+         */
+        dataSourceConfig : {
+            value : null
+        },
+        
+        /**
+         * HTTP basic credentials sent with every request, as an object with
+         *   name and password
+         * @attribute credentials
+         * @type Object
+         */
+        credentials : {
+            value : null
+        },
+        
+        /**
+         * Sends cookies, such as the CouchDB session cookie, with cross
+         *   origin requests
+         * @attribute withCredentials
+         * @type Boolean
+         */
+        withCredentials : {
+            value : false,
+            validator : IS_BOOLEAN
+        },
+        
+        /**
+         * Retry policy for failed requests, merged over Y.Couch.Base.RETRY, or
+         *   false to disable retrying
+         * @attribute retry
+         * @type Object|Boolean
+         */
+        retry : {
+            value : null
+        },
+        
+        /**
+         * Offline mode. Writes which cannot reach the server are queued in
+         *   Y.Couch.OfflineStore and replayed once it can, and reads fall back
+         *   to the last cached copy of their response. Passed along to the
+         *   Y.Couch objects created from this one. Needs the
+         *   couch-offline-store module, which couch-db loads.
+         * @attribute offline
+         * @type Boolean
+         * @see Y.Couch.Base#_offlineValidator
+         */
+        offline : {
+            value : false,
+            validator : '_offlineValidator'
+        },
+        
+        /**
+         * Y.Couch.Connect this object was created from. Hands out the cached
+         *   uuids of new documents, and lists the databases a Y.Couch.DB
+         *   creates or deletes.
+         * @attribute connect
+         * @type Y.Couch.Connect
+         */
+        connect : {
+            value : null
         }
     }
 });
 
+/**
+ * Default retry policy
+ * <dl>
+ *   <dt>retries</dt><dd>Number of times a request is sent again</dd>
+ *   <dt>delay</dt><dd>Milliseconds before the first retry</dd>
+ *   <dt>factor</dt><dd>Multiplier of the delay for each following retry</dd>
+ *   <dt>maxDelay</dt><dd>Maximum milliseconds between retries</dd>
+ *   <dt>jitter</dt><dd>Fraction of the delay which is randomized</dd>
+ *   <dt>idempotentOnly</dt><dd>Only retry requests which are safe to send
+ *     again</dd>
+ * </dl>
+ * @static
+ * @property RETRY
+ * @type Object
+ */
+Y.Couch.Base.RETRY = {
+    retries : 3,
+    delay : 500,
+    factor : 2,
+    maxDelay : 30000,
+    jitter : 0.5,
+    idempotentOnly : true
+};
+
 
 //overwrite stringify to support strings from booleans instead of ints
 Y.QueryString._oldStringify = Y.QueryString.stringify;
 
 Y.QueryString.stringify = function (obj, c, name) {
-
+    
     if (IS_BOOLEAN(obj) || Object.prototype.toString.call(obj) === '[object Boolean]') {
         obj = obj.toString();
     }
@@ -0,0 +1,604 @@
+/**
+ * Follows the changes feed of a CouchDB database. Fires couch:change for
+ *   each result returned by the feed.
+ * @module couch
+ * @submodule couch-changes
+ * @class Y.Couch.Changes
+ * @extends Y.Couch.Base
+ * @author Anthony Pipkin
+ */
+
+var LANG = Y.Lang,
+    IS_BOOLEAN = LANG.isBoolean,
+    IS_NUMBER = LANG.isNumber,
+    IS_ARRAY = LANG.isArray,
+    
+    FEED_NORMAL = 'normal',
+    FEED_LONGPOLL = 'longpoll',
+    FEED_CONTINUOUS = 'continuous',
+    
+    EVENT_ERROR = 'couch:error',
+    EVENT_CHANGE = 'couch:change';
+
+
+Y.namespace('Couch').Changes = Y.Base.create('couch-changes', Y.Couch.Base, [], {
+    
+    /**
+     * Fired when a datasource fails. Logs an error message by default.
+     * @event couch:error
+     */
+    
+    /**
+     * Fired for each result returned by the changes feed. The result is
+     *   stored in the change property of the event.
+     * @event couch:change
+     */
+    
+    /**
+     * The uri to the changes feed. Built by setting ATTRS.baseURI and
+     *   ATTRS.databaseName
+     * @protected
+     * @property _uri
+     */
+    _uri : '',
+    
+    /**
+     * Timer used to schedule the next request in normal mode
+     * @protected
+     * @property _timer
+     */
+    _timer : null,
+    
+    /**
+     * Transaction id of the request in flight
+     * @protected
+     * @property _transaction
+     */
+    _transaction : null,
+    
+    /**
+     * Incremented for every request so responses from cancelled requests can
+     *   be ignored
+     * @protected
+     * @property _requestId
+     */
+    _requestId : 0,
+    
+    /**
+     * Results received while the feed is paused
+     * @protected
+     * @property _buffer
+     */
+    _buffer : null,
+    
+    /**
+     * Sets up the result buffer
+     * @public
+     * @method initializer
+     * @param config {Object} sets ATTRS
+     */
+    initializer : function (config) {
+        this._buffer = [];
+    },
+    
+    /**
+     * Stops following the feed
+     * @public
+     * @method destructor
+     */
+    destructor : function () {
+        this.stop();
+    },
+    
+    /**
+     * Starts following the feed from ATTRS.since
+     * @public
+     * @method start
+     * @chainable
+     */
+    start : function () {
+        Y.log('start', 'info', 'Y.Couch.Changes');
+        
+        if (this.get('running')) {
+            return this;
+        }
+        
+        this._set('running', true);
+        this._set('paused', false);
+        this._poll();
+        
+        return this;
+    },
+    
+    /**
+     * Stops following the feed and cancels the request in flight. ATTRS.since
+     *   keeps the last sequence so start will continue where it left off.
+     * @public
+     * @method stop
+     * @chainable
+     */
+    stop : function () {
+        Y.log('stop', 'info', 'Y.Couch.Changes');
+        
+        this._cancel();
+        this._buffer = [];
+        this._set('running', false);
+        this._set('paused', false);
+        
+        return this;
+    },
+    
+    /**
+     * Holds couch:change events and new requests until resume is called.
+     *   Results arriving while paused are buffered.
+     * @public
+     * @method pause
+     * @chainable
+     */
+    pause : function () {
+        Y.log('pause', 'info', 'Y.Couch.Changes');
+        
+        if (this.get('running')) {
+            this._set('paused', true);
+        }
+        
+        return this;
+    },
+    
+    /**
+     * Fires the buffered results and continues following the feed
+     * @public
+     * @method resume
+     * @chainable
+     */
+    resume : function () {
+        Y.log('resume', 'info', 'Y.Couch.Changes');
+        
+        var buffer = this._buffer;
+        
+        if (!this.get('paused')) {
+            return this;
+        }
+        
+        this._set('paused', false);
+        this._buffer = [];
+        
+        Y.Array.each(buffer, this._fireChange, this);
+        
+        if (this._transaction === null) {
+            this._schedule();
+        }
+        
+        return this;
+    },
+    
+    /**
+     * Initializes a request to the changes feed. Fires couch:change for each
+     *   result on success and couch:error if there is an error. Continuous
+     *   feeds fire couch:change for each line as it arrives, while the
+     *   request stays open.
+     * @protected
+     * @method _poll
+     * @return Y.Promise
+     */
+    _poll : function () {
+        Y.log('_poll', 'info', 'Y.Couch.Changes');
+        
+        var docIds = this.get('doc_ids'),
+            requestId = ++this._requestId,
+            complete = false,
+            streamed = false,
+            pending = '',
+            invalid,
+            promise;
+        
+        this._timer = null;
+        
+        promise = this._sendRequest({
+            url : this._uri + '?' + Y.QueryString.stringify(this._getRequestParams()),
+            method : docIds ? 'POST' : 'GET',
+            data : docIds ? Y.JSON.stringify({ doc_ids : docIds }) : undefined,
+            raw : true,
+            idempotent : true,
+            progress : this.get('feed') === FEED_CONTINUOUS ? function (chunk) {
+                var lines;
+                
+                if (requestId !== this._requestId) {
+                    return;
+                }
+                
+                // the last line is kept until the rest of it arrives
+                streamed = true;
+                lines = (pending + chunk).split('\n');
+                pending = lines.pop();
+                invalid = this._handleResponse(lines.join('\n'));
+            } : undefined,
+            success : function (responseText) {
+                complete = true;
+                
+                if (requestId !== this._requestId) {
+                    return;
+                }
+                
+                this._transaction = null;
+                invalid = this._handleResponse(streamed ? pending : responseText);
+                
+                if (invalid) {
+                    return invalid;
+                }
+                
+                this._schedule();
+            },
+            failure : function (e) {
+                complete = true;
+                
+                // responses of cancelled requests are ignored, the request
+                // stopped by an invalid line is rejected with its error
+                if (requestId !== this._requestId) {
+                    return invalid || null;
+                }
+                
+                this._transaction = null;
+                this.stop();
+            },
+            operation : 'start',
+            message : 'An error occurred following the changes feed'
+        });
+        
+        if (!complete) {
+            this._transaction = promise.transaction;
+        }
+        
+        return promise;
+    },
+    
+    /**
+     * Schedules the next request based on ATTRS.feed. Normal feeds are
+     *   polled every ATTRS.pollInterval milliseconds, or only once when the
+     *   interval is 0. Longpoll and continuous feeds reconnect immediately.
+     * @protected
+     * @method _schedule
+     */
+    _schedule : function () {
+        var interval = this.get('pollInterval');
+        
+        if (!this.get('running') || this.get('paused')) {
+            return;
+        }
+        
+        if (this.get('feed') !== FEED_NORMAL) {
+            interval = 0;
+        } else if (!interval) {
+            this.stop();
+            return;
+        }
+        
+        this._timer = Y.later(interval, this, this._poll);
+    },
+    
+    /**
+     * Cancels the scheduled request and aborts the request in flight
+     * @protected
+     * @method _cancel
+     */
+    _cancel : function () {
+        var transaction = Y.DataSource.Local.transactions[this._transaction];
+        
+        this._requestId += 1;
+        
+        if (this._timer) {
+            this._timer.cancel();
+            this._timer = null;
+        }
+        
+        if (transaction && transaction.abort) {
+            transaction.abort();
+        }
+        
+        this._transaction = null;
+    },
+    
+    /**
+     * Parses a changes response, fires the results and stores the last
+     *   sequence. Continuous responses are parsed one JSON object per line.
+     *   A response which is not JSON, such as the error page of a proxy,
+     *   fires couch:error and stops the feed.
+     * @protected
+     * @method _handleResponse
+     * @param responseText {String}
+     * @return Y.Promise Rejected with a Y.Couch.Error when the response is
+     *   not valid JSON
+     */
+    _handleResponse : function (responseText) {
+        var results = [],
+            lastSeq = null,
+            response;
+        
+        try {
+            if (this.get('feed') === FEED_CONTINUOUS) {
+                Y.Array.each(responseText.split('\n'), function (line) {
+                    if (!LANG.trim(line)) {
+                        return;
+                    }
+                    
+                    line = Y.JSON.parse(line);
+                    
+                    if (line.last_seq !== undefined) {
+                        lastSeq = line.last_seq;
+                    } else {
+                        results.push(line);
+                    }
+                });
+            } else {
+                response = Y.JSON.parse(responseText);
+                results = response.results || [];
+                lastSeq = response.last_seq;
+            }
+        } catch (ex) {
+            this.stop();
+            return this._rejectRequest('An error occurred following the changes feed: Invalid JSON response', 'start');
+        }
+        
+        if (lastSeq === null && results.length) {
+            lastSeq = results[results.length - 1].seq;
+        }
+        
+        if (lastSeq !== null) {
+            this._set('lastSeq', lastSeq);
+            this.set('since', lastSeq);
+        }
+        
+        Y.Array.each(results, function (result) {
+            if (this.get('paused')) {
+                this._buffer.push(result);
+            } else {
+                this._fireChange(result);
+            }
+        }, this);
+    },
+    
+    /**
+     * Fires couch:change for a single result
+     * @protected
+     * @method _fireChange
+     * @param result {Object}
+     */
+    _fireChange : function (result) {
+        this.fire(EVENT_CHANGE, { change : result });
+    },
+    
+    /**
+     * Builds the query parameters for the changes request from ATTRS
+     * @protected
+     * @method _getRequestParams
+     * @returns {Object}
+     */
+    _getRequestParams : function () {
+        var feed = this.get('feed'),
+            params = Y.merge(this.get('query'), {
+                feed : feed,
+                since : this.get('since')
+            });
+        
+        Y.Array.each(['filter', 'include_docs', 'limit', 'descending', 'style', 'timeout'], function (key) {
+            var val = this.get(key);
+            
+            if (val !== null && val !== undefined) {
+                params[key] = val;
+            }
+        }, this);
+        
+        if (this.get('doc_ids')) {
+            params.filter = '_doc_ids';
+        }
+        
+        if (feed !== FEED_NORMAL && this.get('heartbeat')) {
+            params.heartbeat = this.get('heartbeat');
+        }
+        
+        return params;
+    },
+    
+    /**
+     * Concatenates val and ATTRS.databaseName in the local _uri
+     * @protected
+     * @method _baseURISetter
+     * @param {String} val
+     * @returns {String} value to be stored in ATTRS.baseURI
+     */
+    _baseURISetter : function (val) {
+        Y.log('_baseURISetter', 'info', 'Y.Couch.Changes');
+        this._uri = val + '/' + this.get('databaseName') + '/_changes';
+        return val;
+    },
+    
+    /**
+     * Concatenates ATTRS.baseURI and val in the local _uri
+     * @protected
+     * @method _databaseNameSetter
+     * @param {String} val
+     * @returns {String} value to be stored in ATTRS.databaseName
+     */
+    _databaseNameSetter : function (val) {
+        Y.log('_databaseNameSetter', 'info', 'Y.Couch.Changes');
+        this._uri = this.get('baseURI') + '/' + val + '/_changes';
+        return val;
+    }
+    
+}, {
+    ATTRS : {
+        
+        /**
+         * URI for CouchDB connection
+         * @attribute baseURI
+         * @type String
+         * @see Y.Couch.Changes#_baseURISetter
+         */
+        baseURI : {
+            value : '',
+            setter : '_baseURISetter'
+        },
+        
+        /**
+         * CouchDB database name
+         * @attribute databaseName
+         * @type String
+         * @see Y.Couch.Changes#_databaseNameSetter
+         */
+        databaseName : {
+            value : '',
+            setter : '_databaseNameSetter'
+        },
+        
+        /**
+         * Type of feed to follow. 'normal' requests the changes every
+         *   ATTRS.pollInterval milliseconds, 'longpoll' waits for the next
+         *   change and 'continuous' keeps one request open, firing each
+         *   change as it arrives, until the server closes it, then
+         *   reconnects.
+         * @attribute feed
+         * @type String
+         */
+        feed : {
+            value : FEED_NORMAL,
+            validator : function (val) {
+                return (val === FEED_NORMAL || val === FEED_LONGPOLL || val === FEED_CONTINUOUS);
+            }
+        },
+        
+        /**
+         * Sequence to start the feed from. Updated with the last sequence of
+         *   every response.
+         * @attribute since
+         * @type Number|String
+         */
+        since : {
+            value : 0
+        },
+        
+        /**
+         * Last sequence returned by the feed
+         * @attribute lastSeq
+         * @type Number|String
+         * @readonly
+         */
+        lastSeq : {
+            value : null,
+            readOnly : true
+        },
+        
+        /**
+         * Milliseconds to wait between requests to a normal feed. When 0 the
+         *   feed is requested once.
+         * @attribute pollInterval
+         * @type Number
+         */
+        pollInterval : {
+            value : 0,
+            validator : IS_NUMBER
+        },
+        
+        /**
+         * Filter function in the form designdoc/filtername
+         * @attribute filter
+         * @type String
+         */
+        filter : {},
+        
+        /**
+         * Additional query parameters passed to the filter function
+         * @attribute query
+         * @type Object
+         */
+        query : {
+            value : {}
+        },
+        
+        /**
+         * Only return changes for the provided document ids
+         * @attribute doc_ids
+         * @type Array
+         */
+        'doc_ids' : {
+            validator : IS_ARRAY
+        },
+        
+        /**
+         * Include the document with each result
+         * @attribute include_docs
+         * @type Boolean
+         */
+        'include_docs' : {
+            value : false,
+            validator : IS_BOOLEAN
+        },
+        
+        /**
+         * Milliseconds between newlines sent by the server to keep longpoll
+         *   and continuous requests open
+         * @attribute heartbeat
+         * @type Number
+         */
+        heartbeat : {
+            validator : IS_NUMBER
+        },
+        
+        /**
+         * Milliseconds the server waits for changes before closing a
+         *   longpoll or continuous request
+         * @attribute timeout
+         * @type Number
+         */
+        timeout : {
+            validator : IS_NUMBER
+        },
+        
+        /**
+         * Limit the number of results per request
+         * @attribute limit
+         * @type Number
+         */
+        limit : {
+            validator : IS_NUMBER
+        },
+        
+        /**
+         * Return the changes in descending sequence order
+         * @attribute descending
+         * @type Boolean
+         */
+        descending : {
+            validator : IS_BOOLEAN
+        },
+        
+        /**
+         * 'main_only' or 'all_docs' to control which leaf revisions are
+         *   returned
+         * @attribute style
+         * @type String
+         */
+        style : {},
+        
+        /**
+         * Whether the feed is being followed
+         * @attribute running
+         * @type Boolean
+         * @readonly
+         */
+        running : {
+            value : false,
+            readOnly : true
+        },
+        
+        /**
+         * Whether the feed is paused
+         * @attribute paused
+         * @type Boolean
+         * @readonly
+         */
+        paused : {
+            value : false,
+            readOnly : true
+        }
+    }
+});
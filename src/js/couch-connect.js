@@ -13,7 +13,13 @@ var LANG = Y.Lang,
     
     EVENT_ERROR = 'couch:error',
     EVENT_INFO = 'couch:info',
-    EVENT_FETCH_ALL = 'couch:fetchAll';
+    EVENT_FETCH_ALL = 'couch:fetchAll',
+    EVENT_SESSION = 'couch:session',
+    EVENT_UUIDS = 'couch:uuids',
+    EVENT_DATABASE_CREATED = 'couch:databaseCreated',
+    EVENT_DATABASE_DELETED = 'couch:databaseDeleted',
+    EVENT_REPLICATED = 'couch:replicated',
+    EVENT_REPLICATION_FAILED = 'couch:replicationFailed';
 
 
 Y.namespace('Couch').Connect = Y.Base.create('couch-base', Y.Couch.Base, [], {
@@ -35,6 +41,39 @@ Y.namespace('Couch').Connect = Y.Base.create('couch-base', Y.Couch.Base, [], {
      * @event couch:fetchAll
      */
     
+    /**
+     * Fired when the datasource in fetchUUIDs fires successful. The uuids
+     *   are stored in the response property of the event.
+     * @event couch:uuids
+     */
+    
+    /**
+     * Fired when the datasource in replicate fires successful. Carries the
+     *   source, target and options of the replication along with the history
+     *   returned by CouchDB.
+     * @event couch:replicated
+     */
+    
+    /**
+     * Fired when replicate fails or the source or target is invalid. Carries
+     *   the source, target, options and error message.
+     * @event couch:replicationFailed
+     */
+    
+    /**
+     * Uuids fetched by getUUID which were not handed out yet
+     * @protected
+     * @property _uuids
+     */
+    _uuids : null,
+    
+    /**
+     * Promise of the running uuid batch request
+     * @protected
+     * @property _uuidRequest
+     */
+    _uuidRequest : null,
+    
     /**
      * Publishes events and immediatly calls fetchInfo
      * @public
@@ -48,6 +87,11 @@ Y.namespace('Couch').Connect = Y.Base.create('couch-base', Y.Couch.Base, [], {
         Y.log('initializer', 'info', 'Y.Couch.Connect');
         this.publish(EVENT_INFO, { defaultFn : this._defInfoFn });
         this.publish(EVENT_FETCH_ALL, { defaultFn: this._defFecthAllFn });
+        this.publish(EVENT_SESSION, { defaultFn: this._defSessionFn });
+        this.publish(EVENT_DATABASE_CREATED, { defaultFn: this._defDatabasesChangedFn });
+        this.publish(EVENT_DATABASE_DELETED, { defaultFn: this._defDatabasesChangedFn });
+        
+        this._uuids = [];
         
         this.fetchInfo(true);
     },
@@ -58,30 +102,18 @@ Y.namespace('Couch').Connect = Y.Base.create('couch-base', Y.Couch.Base, [], {
      * @public
      * @method fetchInfo
      * @param getNew {Boolean} Uses the local datasource or creates a new object
-     * @return Y.Couch.DataSource
+     * @return Y.Promise
      */
     fetchInfo : function (getNew) {
         Y.log('fetchInfo', 'info', 'Y.Couch.Connect');
-        var ds = this._getDataSource(getNew),
-            callbacks = {
-                
-                success: Y.bind(function (e) {
-                    this.fire(EVENT_INFO, {response: Y.JSON.parse(e.response.results[0].responseText)});
-                }, this),
-                
-                failure: Y.bind(function (e) {
-                    this.fire(EVENT_ERROR, {
-                        message : 'An error occurred fetching the information: ' + e.error.message
-                    });
-                }, this)
-                
-            };
-        
-        ds.set('source', this.get('baseURI') + '/');
-        
-        ds.sendRequest({ callback : callbacks });
         
-        return ds;
+        return this._sendRequest({
+            url : this.get('baseURI') + '/',
+            getNew : getNew === true,
+            event : EVENT_INFO,
+            operation : 'fetchInfo',
+            message : 'An error occurred fetching the information'
+        });
     },
     
     /**
@@ -91,28 +123,143 @@ Y.namespace('Couch').Connect = Y.Base.create('couch-base', Y.Couch.Base, [], {
      * @public
      * @method fetchAllDatabases
      * @param getNew {Boolean} Uses the local datasource or creates a new object
-     * @return Y.Couch.DataSource
+     * @return Y.Promise
      */
     fetchAllDatabases : function (getNew) {
         Y.log('fetchAllDatabases', 'info', 'Y.Couch.Connect');
-        var ds = this._getDataSource(getNew),
-            callbacks = {
-                success: Y.bind(function (e) {
-                    this.fire(EVENT_FETCH_ALL, {response: Y.JSON.parse(e.response.results[0].responseText)});
-                }, this),
-                
-                failure: Y.bind(function (e) {
-                    this.fire(EVENT_ERROR, {
-                        message : 'An error occurred fetching the list of databases: ' + e.error.message
-                    });
-                }, this)
-            };
         
-        ds.set('source', this.get('baseURI') + '/_all_dbs');
+        return this._sendRequest({
+            url : this.get('baseURI') + '/_all_dbs',
+            getNew : getNew === true,
+            event : EVENT_FETCH_ALL,
+            operation : 'fetchAllDatabases',
+            message : 'An error occurred fetching the list of databases'
+        });
+    },
+    
+    /**
+     * Initializes a request to start a cookie session for the user. Fires
+     *   couch:session on success and couch:error if there is an error.
+     * @public
+     * @method login
+     * @param name {String} User name
+     * @param password {String} User password
+     * @return Y.Promise
+     */
+    login : function (name, password) {
+        Y.log('login', 'info', 'Y.Couch.Connect');
+        
+        return this._sessionRequest('login', 'POST', Y.JSON.stringify({
+            name : name,
+            password : password
+        }));
+    },
+    
+    /**
+     * Initializes a request to end the cookie session. Fires couch:session on
+     *   success and couch:error if there is an error.
+     * @public
+     * @method logout
+     * @return Y.Promise
+     */
+    logout : function () {
+        Y.log('logout', 'info', 'Y.Couch.Connect');
+        
+        return this._sessionRequest('logout', 'DELETE');
+    },
+    
+    /**
+     * Initializes a request to get the current session. Fires couch:session
+     *   on success and couch:error if there is an error.
+     * @public
+     * @method getSession
+     * @return Y.Promise
+     */
+    getSession : function () {
+        Y.log('getSession', 'info', 'Y.Couch.Connect');
+        
+        return this._sessionRequest('session', 'GET');
+    },
+    
+    /**
+     * Initializes a request to create a database. Fires couch:databaseCreated
+     *   on success and couch:error if there is an error.
+     * @public
+     * @method createDatabase
+     * @param name {String} Name of the database to create
+     * @return Y.Promise
+     */
+    createDatabase : function (name) {
+        Y.log('createDatabase', 'info', 'Y.Couch.Connect');
+        
+        return this._databaseRequest('PUT', name, EVENT_DATABASE_CREATED, 'creating the database', 'createDatabase');
+    },
+    
+    /**
+     * Initializes a request to delete a database. Fires couch:databaseDeleted
+     *   on success and couch:error if there is an error.
+     * @public
+     * @method deleteDatabase
+     * @param name {String} Name of the database to delete
+     * @return Y.Promise
+     */
+    deleteDatabase : function (name) {
+        Y.log('deleteDatabase', 'info', 'Y.Couch.Connect');
+        
+        return this._databaseRequest('DELETE', name, EVENT_DATABASE_DELETED, 'deleting the database', 'deleteDatabase');
+    },
+    
+    /**
+     * Initializes a request for new uuids from _uuids. Fires couch:uuids on
+     *   success and couch:error if there is an error.
+     * @public
+     * @method fetchUUIDs
+     * @param count {Number} <optional> Number of uuids. Defaults to 1
+     * @return Y.Promise Resolves with the array of uuids
+     */
+    fetchUUIDs : function (count) {
+        Y.log('fetchUUIDs', 'info', 'Y.Couch.Connect');
         
-        ds.sendRequest({ callback : callbacks });
+        return this._sendRequest({
+            url : this.get('baseURI') + '/_uuids',
+            data : { count : count || 1 },
+            event : EVENT_UUIDS,
+            success : function (response) {
+                return response.uuids;
+            },
+            operation : 'fetchUUIDs',
+            message : 'An error occurred fetching uuids'
+        });
+    },
+    
+    /**
+     * Returns a uuid from the cache, fetching ATTRS.uuidBatchSize new ones
+     *   when it is empty
+     * @public
+     * @method getUUID
+     * @return Y.Promise Resolves with the uuid
+     */
+    getUUID : function () {
+        Y.log('getUUID', 'info', 'Y.Couch.Connect');
+        
+        if (this._uuids.length) {
+            return Y.Promise.resolve(this._uuids.shift());
+        }
+        
+        if (!this._uuidRequest) {
+            this._uuidRequest = this.fetchUUIDs(this.get('uuidBatchSize')).then(Y.bind(function (uuids) {
+                this._uuidRequest = null;
+                this._uuids = this._uuids.concat(uuids);
+            }, this), Y.bind(function (err) {
+                this._uuidRequest = null;
+                throw err;
+            }, this));
+        }
         
-        return ds;
+        // requests waiting on the same batch may use it up
+        return this._uuidRequest.then(Y.bind(function () {
+            return this._uuids.length ? this._uuids.shift() : this.getUUID();
+        }, this));
     },
     
     /**
@@ -125,47 +272,197 @@ Y.namespace('Couch').Connect = Y.Base.create('couch-base', Y.Couch.Base, [], {
     getDatabase : function (name) {
         Y.log('getDatabase', 'info', 'Y.Couch.Connect');
         
-        return (new Y.Couch.DB({
+        return (new Y.Couch.DB(Y.merge(this._getChildConfig(), {
             baseURI : this.get('baseURI'),
             name: name
+        })));
+    },
+    
+    /**
+     * Returns a Y.Couch.Users object managing the users in the _users
+     *   database
+     * @public
+     * @method getUsers
+     * @param config {Object} <optional> Provided for extra configurations,
+     *   such as the name of the users database
+     * @returns Y.Couch.Users
+     */
+    getUsers : function (config) {
+        Y.log('getUsers', 'info', 'Y.Couch.Connect');
+        
+        return new Y.Couch.Users(Y.merge(this._getChildConfig(), config, {
+            baseURI : this.get('baseURI')
         }));
     },
     
     /**
-     * Replicates a source database to the target.
+     * Replicates a source database to the target. Fires couch:replicated with
+     *   the replication history on success, and couch:replicationFailed and
+     *   couch:error on failure.
      * @public
      * @method replicate
-     * @param source {String} The source url to replicate from
-     * @param target {String} The target url to replicate to
-     * @param requestConfig {Object} Configuration object for replication options
+     * @param source {String|Object} Database name or url, or an object with
+     *   url and headers, to replicate from
+     * @param target {String|Object} Database name or url, or an object with
+     *   url and headers, to replicate to
+     * @param options {Object} <optional> Replication options such as
+     *   continuous, create_target, filter, query_params, doc_ids and cancel
+     * @return Y.Promise
      */
-    
-    /*
-      TODO: Add in callback functions for even firing
-    */
-    replicate : function (source, target, requestConfig) {
+    replicate : function (source, target, options) {
         Y.log('replicate', 'info', 'Y.Couch.Connect');
         
-        if (!IS_STRING(source) && !IS_STRING(target)) {
-            Y.log('Cannot replicate ' + source + ' to ' + target + '.', 'error', 'Y.Couch');
-        }
+        var requestData = Y.merge(options, {
+                source : source,
+                target : target
+            }),
+            endpoints = Y.Couch.Replication.describeEndpoint(source) + ' to ' +
+                Y.Couch.Replication.describeEndpoint(target),
+            message;
         
-        var ds = this._getDataSource(true);
+        if (!Y.Couch.Replication.isEndpoint(source) || !Y.Couch.Replication.isEndpoint(target)) {
+            message = 'Cannot replicate ' + endpoints + '.';
+            
+            this.fire(EVENT_REPLICATION_FAILED, {
+                source : source,
+                target : target,
+                options : options,
+                message : message
+            });
+            
+            return this._rejectRequest(message, 'replicate');
+        }
         
-        requestConfig = requestConfig || {};
-        requestConfig.source = source;
-        requestConfig.target = target;
+        return this._sendRequest({
+            url : this.get('baseURI') + '/_replicate',
+            method : 'POST',
+            data : Y.JSON.stringify(requestData),
+            success : function (response) {
+                this.fire(EVENT_REPLICATED, {
+                    source : source,
+                    target : target,
+                    options : options,
+                    history : response.history || [],
+                    response : response
+                });
+            },
+            failure : function (e) {
+                this.fire(EVENT_REPLICATION_FAILED, {
+                    source : source,
+                    target : target,
+                    options : options,
+                    message : e.error.message,
+                    response : e.response.results[0]
+                });
+            },
+            operation : 'replicate',
+            message : 'An error occurred replicating ' + endpoints
+        });
+    },
+    
+    /**
+     * Cancels a continuous replication started with replicate. The source,
+     *   target and options must match the running replication.
+     * @public
+     * @method cancelReplication
+     * @param source {String|Object}
+     * @param target {String|Object}
+     * @param options {Object} <optional>
+     * @return Y.Promise
+     */
+    cancelReplication : function (source, target, options) {
+        Y.log('cancelReplication', 'info', 'Y.Couch.Connect');
         
-        ds.set('source', this.get('baseURI') + '/_replicate');
+        return this.replicate(source, target, Y.merge(options, { cancel : true }));
+    },
+    
+    /**
+     * Returns a persistent replication stored in the _replicator database
+     * @public
+     * @method getReplication
+     * @param id {String} Id of the replication document
+     * @param config {Object} <optional> Replication options such as source,
+     *   target, continuous and create_target
+     * @returns Y.Couch.Replication
+     */
+    getReplication : function (id, config) {
+        Y.log('getReplication', 'info', 'Y.Couch.Connect');
         
-        ds.sendRequest({
-            cfg : {
-                headers : {
-                    'Content-Type' : 'application/json'
-                },
-                method : 'POST',
-                data : requestConfig
-            }
+        return new Y.Couch.Replication(Y.merge(this._getChildConfig(), config, {
+            baseURI : this.get('baseURI'),
+            id : id
+        }));
+    },
+    
+    /**
+     * Sends a request to the database with the provided name and fires
+     *   eventName with the name and response on success
+     * @protected
+     * @method _databaseRequest
+     * @param method {String} HTTP method
+     * @param name {String} Name of the database
+     * @param eventName {String} Event fired on success
+     * @param action {String} Description of the action used in error messages
+     * @param operation {String} Name of the calling method
+     * @return Y.Promise
+     */
+    _databaseRequest : function (method, name, eventName, action, operation) {
+        return this._sendRequest({
+            url : this.get('baseURI') + '/' + encodeURIComponent(name),
+            method : method,
+            success : function (response) {
+                this.fire(eventName, {
+                    name : name,
+                    response : response
+                });
+            },
+            operation : operation,
+            message : 'An error occurred ' + action + ' ' + name
+        });
+    },
+    
+    /**
+     * Sends a request to _session with cookies enabled and fires
+     *   couch:session with the provided action on success
+     * @protected
+     * @method _sessionRequest
+     * @param action {String} 'login', 'logout' or 'session'
+     * @param method {String} HTTP method
+     * @param data {String} <optional> Request body
+     * @return Y.Promise
+     */
+    _sessionRequest : function (action, method, data) {
+        return this._sendRequest({
+            url : this.get('baseURI') + '/_session',
+            method : method,
+            headers : {
+                'Accept' : 'application/json'
+            },
+            data : data,
+            xdr : {
+                credentials : true
+            },
+            success : function (response) {
+                this.fire(EVENT_SESSION, {
+                    action : action,
+                    response : response
+                });
+            },
+            operation : action === 'session' ? 'getSession' : action,
+            message : 'An error occurred with the session'
+        });
+    },
+    
+    /**
+     * Passes this connection along to the objects created from it, so they
+     *   share its uuid cache
+     * @protected
+     * @method _getChildConfig
+     * @returns {Object}
+     */
+    _getChildConfig : function () {
+        return Y.merge(Y.Couch.Connect.superclass._getChildConfig.apply(this, arguments), {
+            connect : this
         });
     },
     
@@ -207,6 +504,40 @@ Y.namespace('Couch').Connect = Y.Base.create('couch-base', Y.Couch.Base, [], {
     _defInfoFn : function (e) {
         Y.log('_defInfoFn', 'info', 'Y.Couch.Connect');
         this._set('info', e.response);
+    },
+    
+    /**
+     * Refreshes ATTRS.databases after a database was created or deleted
+     * @protected
+     * @method _defDatabasesChangedFn
+     * @param {Event} e
+     */
+    _defDatabasesChangedFn : function (e) {
+        Y.log('_defDatabasesChangedFn', 'info', 'Y.Couch.Connect');
+        this.fetchAllDatabases(true);
+    },
+    
+    /**
+     * Stores the user context in ATTRS.session after a couch:session event
+     *   fires
+     * @protected
+     * @method _defSessionFn
+     * @param {Event} e
+     */
+    _defSessionFn : function (e) {
+        Y.log('_defSessionFn', 'info', 'Y.Couch.Connect');
+        
+        var response = e.response;
+        
+        if (e.action === 'logout') {
+            response = { name : null, roles : [] };
+        } else if (response.userCtx) {
+            response = response.userCtx;
+        } else {
+            response = { name : response.name, roles : response.roles || [] };
+        }
+        
+        this._set('session', response);
     }
     
 }, {
@@ -242,6 +573,27 @@ Y.namespace('Couch').Connect = Y.Base.create('couch-base', Y.Couch.Base, [], {
         info : {
             value : {},
             readOnly : true
+        },
+        
+        /**
+         * User context of the current session, with name and roles
+         * @attribute session
+         * @type Object
+         * @readonly
+         */
+        session : {
+            value : null,
+            readOnly : true
+        },
+        
+        /**
+         * Number of uuids fetched at once by getUUID
+         * @attribute uuidBatchSize
+         * @type Number
+         */
+        uuidBatchSize : {
+            value : 10,
+            validator : LANG.isNumber
         }
         
     }
@@ -1,5 +1,9 @@
 /**
- * A consistent interface for DataSource connections used in Y.Couch
+ * A consistent interface for DataSource connections used in Y.Couch. Every
+ *   request passes through the registered request interceptors before it is
+ *   sent and every response through the response interceptors before it
+ *   reaches the callbacks. Requests with binary bodies or responses, or read
+ *   as they arrive, are sent with an XMLHttpRequest instead of Y.io.
  * @module couch
  * @submodule couch-datasource
  * @class Y.Couch.DataSource
@@ -7,8 +11,481 @@
  * @author Anthony Pipkin
  */
 
+/**
+ * Runs interceptors in order. Each interceptor receives val and the
+ *   additional arguments and may return a replacement for val.
+ * @private
+ * @method intercept
+ * @param interceptors {Array}
+ * @param val {Object}
+ * @param args {Array} Additional arguments for the interceptors
+ * @returns {Object}
+ */
+function intercept(interceptors, val, args) {
+    Y.Array.each(interceptors, function (fn) {
+        var result = fn.apply(null, [val].concat(args));
+        
+        if (result !== undefined) {
+            val = result;
+        }
+    });
+    
+    return val;
+}
+
+/**
+ * Adds fn to interceptors and returns a handle which removes it
+ * @private
+ * @method register
+ * @param interceptors {Array}
+ * @param fn {Function}
+ * @returns {Object} handle with a detach method
+ */
+function register(interceptors, fn) {
+    interceptors.push(fn);
+    
+    return {
+        detach : function () {
+            var index = Y.Array.indexOf(interceptors, fn);
+            
+            if (index > -1) {
+                interceptors.splice(index, 1);
+            }
+        }
+    };
+}
+
+/**
+ * Returns the text of a response body read as an ArrayBuffer or string, or
+ *   an empty string for a Blob
+ * @private
+ * @method decodeText
+ * @param body {ArrayBuffer|Blob|String}
+ * @returns {String}
+ */
+function decodeText(body) {
+    var TextDecoder = Y.config.win.TextDecoder,
+        text = '',
+        bytes,
+        i;
+    
+    // Blobs cannot be read synchronously
+    if (!(body instanceof ArrayBuffer)) {
+        return Y.Lang.isString(body) ? body : '';
+    }
+    
+    if (TextDecoder) {
+        return new TextDecoder('utf-8').decode(body);
+    }
+    
+    // error bodies are ASCII JSON
+    bytes = new Uint8Array(body);
+    
+    for (i = 0; i < bytes.length; i += 1) {
+        text += String.fromCharCode(bytes[i]);
+    }
+    
+    return text;
+}
+
+/**
+ * Sends a request with an XMLHttpRequest in place of Y.io, which serializes
+ *   object bodies as query strings, only reads responses as text and only
+ *   once they are complete. Binary bodies are sent as they are and the
+ *   response is read as cfg.responseType. Text responses are passed to
+ *   cfg.progress chunk by chunk as they arrive. Calls the callbacks of cfg
+ *   like Y.io, with a response holding the body in the response property.
+ *   The responseText of failed binary requests is decoded so errors can be
+ *   read.
+ * @private
+ * @method xhrIO
+ * @param uri {String}
+ * @param cfg {Object} Y.io configuration with responseType or progress
+ * @returns {Object} transaction with an abort method
+ */
+function xhrIO(uri, cfg) {
+    var xhr = new Y.config.win.XMLHttpRequest(),
+        transaction = { id : Y.guid('couch-xhr-') },
+        complete = false,
+        received = 0,
+        binary = cfg.responseType && cfg.responseType !== 'text',
+        progress = function () {
+            var text;
+            
+            if (binary || !cfg.progress || complete) {
+                return;
+            }
+            
+            text = xhr.responseText || '';
+            
+            if (text.length > received) {
+                cfg.progress.call(cfg.context, text.substring(received));
+                received = text.length;
+            }
+        },
+        finish = function (statusText) {
+            var status = statusText ? 0 : xhr.status,
+                success = status >= 200 && status < 300,
+                responseText = '',
+                response;
+            
+            if (complete) {
+                return;
+            }
+            
+            complete = true;
+            
+            if (!statusText) {
+                responseText = binary ? (success ? '' : decodeText(xhr.response)) : xhr.responseText;
+            }
+            
+            response = {
+                status : status,
+                statusText : statusText || xhr.statusText,
+                response : statusText ? null : xhr.response,
+                responseText : responseText,
+                getResponseHeader : function (name) {
+                    return xhr.getResponseHeader(name);
+                },
+                getAllResponseHeaders : function () {
+                    return xhr.getAllResponseHeaders();
+                }
+            };
+            
+            cfg.on[success ? 'success' : 'failure'].call(cfg.context, transaction.id, response, cfg['arguments']);
+        };
+    
+    xhr.open(cfg.method || 'GET', uri, true);
+    
+    Y.Object.each(cfg.headers || {}, function (val, name) {
+        if (val !== undefined && val !== null) {
+            xhr.setRequestHeader(name, val);
+        }
+    });
+    
+    if (cfg.responseType) {
+        xhr.responseType = cfg.responseType;
+    }
+    
+    if (cfg.timeout) {
+        xhr.timeout = cfg.timeout;
+    }
+    
+    if (cfg.xdr && cfg.xdr.credentials) {
+        xhr.withCredentials = true;
+    }
+    
+    xhr.onprogress = progress;
+    
+    xhr.onreadystatechange = function () {
+        if (xhr.readyState === 4 && xhr.status) {
+            progress();
+            finish();
+        }
+    };
+    
+    xhr.onerror = function () {
+        finish('error');
+    };
+    
+    xhr.ontimeout = function () {
+        finish('timeout');
+    };
+    
+    xhr.send(cfg.data === undefined ? null : cfg.data);
+    
+    transaction.abort = function () {
+        if (!complete) {
+            xhr.abort();
+            finish('abort');
+        }
+    };
+    
+    transaction.isInProgress = function () {
+        return !complete;
+    };
+    
+    return transaction;
+}
+
 Y.namespace('Couch').DataSource = Y.Base.create('couch-datasource', Y.DataSource.IO, [], {
+    
+    /**
+     * Applies the default headers, timeout and authentication configuration
+     *   to the request and runs the request interceptors before it is sent.
+     *   Interceptors receive a request object with url and cfg, the Y.io
+     *   configuration, and may change it or return a replacement.
+     * @protected
+     * @method _defRequestFn
+     * @param e {Event}
+     */
+    _defRequestFn : function (e) {
+        var credentials = this.get('credentials'),
+            timeout = this.get('timeout'),
+            cfg = e.cfg = Y.merge(e.cfg),
+            request;
+        
+        cfg.headers = Y.merge(Y.Couch.DataSource.HEADERS, this.get('headers'), cfg.headers);
+        
+        if (cfg.timeout === undefined) {
+            cfg.timeout = timeout !== null ? timeout : Y.Couch.DataSource.TIMEOUT;
+        }
+        
+        if (!cfg.timeout) {
+            delete cfg.timeout;
+        }
+        
+        if (credentials) {
+            cfg.headers.Authorization = 'Basic ' +
+                Y.Couch.DataSource.base64(credentials.name + ':' + credentials.password);
+        }
+        
+        if (this.get('withCredentials')) {
+            cfg.xdr = Y.merge(cfg.xdr, { credentials : true });
+        }
+        
+        request = intercept(this._getInterceptors('request'), {
+            url : this.get('source'),
+            cfg : cfg
+        }, [this]);
+        
+        e.cfg = request.cfg;
+        e.details[0].couchRequest = request;
+        this.set('source', request.url);
+        
+        return Y.Couch.DataSource.superclass._defRequestFn.apply(this, arguments);
+    },
+    
+    /**
+     * Runs the response interceptors on the raw response before it is
+     *   normalized and passed to the callbacks. Interceptors receive the
+     *   response, the request object and the data source and may change the
+     *   response or return a replacement.
+     * @protected
+     * @method _defDataFn
+     * @param e {Event}
+     */
+    _defDataFn : function (e) {
+        var payload = e.details[0];
+        
+        e.data = payload.data = intercept(this._getInterceptors('response'), e.data, [
+            Y.merge(payload.couchRequest, { error : e.error }),
+            this
+        ]);
+        
+        return Y.Couch.DataSource.superclass._defDataFn.apply(this, arguments);
+    },
+    
+    /**
+     * Sends requests with a binary body, a responseType other than text or a
+     *   progress callback through an XMLHttpRequest, and others through Y.io
+     * @protected
+     * @method _io
+     * @param uri {String}
+     * @param cfg {Object} Y.io configuration
+     * @returns {Object} transaction
+     */
+    _io : function (uri, cfg) {
+        if ((cfg.responseType && cfg.responseType !== 'text') || cfg.progress || Y.Couch.DataSource.isBinary(cfg.data)) {
+            return xhrIO(uri, cfg);
+        }
+        
+        return Y.io(uri, cfg);
+    },
+    
+    /**
+     * Returns the global interceptors of the type followed by the
+     *   interceptors of this instance
+     * @protected
+     * @method _getInterceptors
+     * @param type {String} 'request' or 'response'
+     * @returns {Array}
+     */
+    _getInterceptors : function (type) {
+        var statics = Y.Couch.DataSource;
+        
+        return (type === 'request' ? statics.REQUEST_INTERCEPTORS : statics.RESPONSE_INTERCEPTORS)
+            .concat(this.get(type + 'Interceptors') || []);
+    }
+    
 }, {
+    ATTRS : {
+        
+        /**
+         * Sends the requests of the data source
+         * @attribute io
+         * @type Function
+         * @see Y.Couch.DataSource#_io
+         */
+        io : {
+            valueFn : function () {
+                return Y.bind(this._io, this);
+            }
+        },
+        
+        /**
+         * HTTP basic credentials sent with every request, as an object with
+         *   name and password
+         * @attribute credentials
+         * @type Object
+         */
+        credentials : {
+            value : null
+        },
+        
+        /**
+         * Sends cookies with cross origin requests
+         * @attribute withCredentials
+         * @type Boolean
+         */
+        withCredentials : {
+            value : false
+        },
+        
+        /**
+         * Headers sent with every request of this instance, on top of
+         *   Y.Couch.DataSource.HEADERS
+         * @attribute headers
+         * @type Object
+         */
+        headers : {
+            value : null
+        },
+        
+        /**
+         * Milliseconds before a request of this instance is aborted. Defaults
+         *   to Y.Couch.DataSource.TIMEOUT when null.
+         * @attribute timeout
+         * @type Number
+         */
+        timeout : {
+            value : null
+        },
+        
+        /**
+         * Request interceptors run for this instance after the global ones
+         * @attribute requestInterceptors
+         * @type Array
+         */
+        requestInterceptors : {
+            value : null
+        },
+        
+        /**
+         * Response interceptors run for this instance after the global ones
+         * @attribute responseInterceptors
+         * @type Array
+         */
+        responseInterceptors : {
+            value : null
+        }
+    }
 });
 
+/**
+ * Headers sent with every request of every instance
+ * @static
+ * @property HEADERS
+ * @type Object
+ */
+Y.Couch.DataSource.HEADERS = {};
+
+/**
+ * Milliseconds before a request is aborted. Requests do not time out when
+ *   null.
+ * @static
+ * @property TIMEOUT
+ * @type Number
+ */
+Y.Couch.DataSource.TIMEOUT = null;
+
+/**
+ * Request interceptors run for every instance
+ * @static
+ * @property REQUEST_INTERCEPTORS
+ * @type Array
+ */
+Y.Couch.DataSource.REQUEST_INTERCEPTORS = [];
+
+/**
+ * Response interceptors run for every instance
+ * @static
+ * @property RESPONSE_INTERCEPTORS
+ * @type Array
+ */
+Y.Couch.DataSource.RESPONSE_INTERCEPTORS = [];
+
+/**
+ * Returns whether data is a binary request body, a Blob, an ArrayBuffer or a
+ *   view of one such as a Uint8Array
+ * @static
+ * @method isBinary
+ * @param data {Any}
+ * @returns {Boolean}
+ */
+Y.Couch.DataSource.isBinary = function (data) {
+    var Blob = Y.config.win && Y.config.win.Blob;
+    
+    if (!data || typeof data !== 'object') {
+        return false;
+    }
+    
+    return !!((Blob && data instanceof Blob) || data instanceof ArrayBuffer || ArrayBuffer.isView(data));
+};
+
+/**
+ * Returns the base64 encoding of a string, as UTF-8 bytes, or of the bytes of
+ *   an ArrayBuffer or a view of one. btoa alone only accepts Latin1
+ *   characters.
+ * @static
+ * @method base64
+ * @param data {String|ArrayBuffer}
+ * @returns {String}
+ */
+Y.Couch.DataSource.base64 = function (data) {
+    var binary = '',
+        bytes,
+        i;
+    
+    if (Y.Lang.isString(data)) {
+        binary = encodeURIComponent(data).replace(/%([0-9A-F]{2})/g, function (match, hex) {
+            return String.fromCharCode(parseInt(hex, 16));
+        });
+    } else {
+        bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+        
+        for (i = 0; i < bytes.length; i += 1) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+    }
+    
+    return Y.config.win.btoa(binary);
+};
+
+/**
+ * Registers a request interceptor for every instance. The interceptor is
+ *   called with the request, an object with url and cfg, and the data source
+ *   and may change the request or return a replacement.
+ * @static
+ * @method addRequestInterceptor
+ * @param fn {Function}
+ * @returns {Object} handle with a detach method which removes the interceptor
+ */
+Y.Couch.DataSource.addRequestInterceptor = function (fn) {
+    return register(Y.Couch.DataSource.REQUEST_INTERCEPTORS, fn);
+};
+
+/**
+ * Registers a response interceptor for every instance. The interceptor is
+ *   called with the raw response, the request and the data source and may
+ *   change the response or return a replacement.
+ * @static
+ * @method addResponseInterceptor
+ * @param fn {Function}
+ * @returns {Object} handle with a detach method which removes the interceptor
+ */
+Y.Couch.DataSource.addResponseInterceptor = function (fn) {
+    return register(Y.Couch.DataSource.RESPONSE_INTERCEPTORS, fn);
+};
+
 
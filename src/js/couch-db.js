@@ -10,7 +10,39 @@
 
 var EVENT_ERROR = 'couch:error',
     EVENT_INFO = 'couch:info',
-    EVENT_FETCH_ALL = 'couch:fetchAll';
+    EVENT_FETCH_ALL = 'couch:fetchAll',
+    EVENT_FETCH_LOCAL = 'couch:fetchLocal',
+    EVENT_BULK_SAVE = 'couch:bulkSave',
+    EVENT_FETCH_DOCUMENTS = 'couch:fetchDocuments',
+    EVENT_INDEX_CREATED = 'couch:indexCreated',
+    EVENT_INDEXES = 'couch:indexes',
+    EVENT_INDEX_DELETED = 'couch:indexDeleted',
+    EVENT_EXPLAIN = 'couch:explain',
+    EVENT_CREATED = 'couch:created',
+    EVENT_DESTROYED = 'couch:destroyed',
+    EVENT_COMPACTED = 'couch:compacted',
+    EVENT_VIEWS_COMPACTED = 'couch:viewsCompacted',
+    EVENT_VIEW_CLEANUP = 'couch:viewCleanup',
+    EVENT_FULL_COMMIT = 'couch:fullCommit',
+    EVENT_SECURITY = 'couch:security',
+    EVENT_SECURITY_CHANGED = 'couch:securityChanged',
+    EVENT_CONFLICTS = 'couch:conflicts';
+
+/**
+ * Returns a copy of a security section with names and roles arrays
+ * @private
+ * @method normalizeSection
+ * @param section {Object} admins or members of a security object
+ * @returns {Object}
+ */
+function normalizeSection(section) {
+    section = section || {};
+    
+    return Y.merge(section, {
+        names : (section.names || []).concat(),
+        roles : (section.roles || []).concat()
+    });
+}
 
 Y.namespace('Couch').DB = Y.Base.create('couch-db', Y.Couch.Base, [], {
     
@@ -32,6 +64,104 @@ Y.namespace('Couch').DB = Y.Base.create('couch-db', Y.Couch.Base, [], {
      * @event couch:fetchAll
      */
     
+    /**
+     * Fired when the datasource in fetchLocalDocuments fires successful. The
+     *   local documents are stored in the response property of the event.
+     * @event couch:fetchLocal
+     */
+    
+    /**
+     * Fired when the datasource in bulkSave fires successful. The event
+     *   carries the raw response along with the rows split into saved and
+     *   failed documents.
+     * @event couch:bulkSave
+     */
+    
+    /**
+     * Fired when the datasource in fetchDocuments fires successful. The event
+     *   carries the raw response along with the rows split into found and
+     *   missing documents.
+     * @event couch:fetchDocuments
+     */
+    
+    /**
+     * Fired when the datasource in createIndex fires successful
+     * @event couch:indexCreated
+     */
+    
+    /**
+     * Fired when the datasource in listIndexes fires successful. By default,
+     *   will store the returned indexes into ATTRS.indexes
+     * @event couch:indexes
+     */
+    
+    /**
+     * Fired when the datasource in deleteIndex fires successful
+     * @event couch:indexDeleted
+     */
+    
+    /**
+     * Fired when the datasource in explain fires successful. The query plan
+     *   is stored in the response property of the event.
+     * @event couch:explain
+     */
+    
+    /**
+     * Fired when the datasource in create fires successful. By default, will
+     *   refresh ATTRS.info and the databases of ATTRS.connect
+     * @event couch:created
+     */
+    
+    /**
+     * Fired when the datasource in destroyDatabase fires successful. By
+     *   default, will clear ATTRS.info and ATTRS.documents and refresh the
+     *   databases of ATTRS.connect
+     * @event couch:destroyed
+     */
+    
+    /**
+     * Fired when the datasource in compact fires successful. By default, will
+     *   refresh ATTRS.info
+     * @event couch:compacted
+     */
+    
+    /**
+     * Fired when the datasource in compactViews fires successful. By default,
+     *   will refresh ATTRS.info
+     * @event couch:viewsCompacted
+     */
+    
+    /**
+     * Fired when the datasource in viewCleanup fires successful. By default,
+     *   will refresh ATTRS.info
+     * @event couch:viewCleanup
+     */
+    
+    /**
+     * Fired when the datasource in ensureFullCommit fires successful. By
+     *   default, will refresh ATTRS.info
+     * @event couch:fullCommit
+     */
+    
+    /**
+     * Fired when the datasource in getSecurity fires successful. By default,
+     *   will store the security object into ATTRS.security
+     * @event couch:security
+     */
+    
+    /**
+     * Fired when the security object was saved by setSecurity or one of the
+     *   add and remove helpers. By default, will store the new security
+     *   object into ATTRS.security
+     * @event couch:securityChanged
+     */
+    
+    /**
+     * Fired when fetchConflicts finished scanning the database. The documents
+     *   with conflicts are stored in the response property of the event.
+     * @event couch:conflicts
+     */
+    
     /**
      * The uri to the database. Built by setting ATTRS.baseURI and ATTRS.name 
      * @protected
@@ -51,6 +181,15 @@ Y.namespace('Couch').DB = Y.Base.create('couch-db', Y.Couch.Base, [], {
     initializer : function (config) {
         this.publish(EVENT_INFO, { defaultFn : this._defInfoFn });
         this.publish(EVENT_FETCH_ALL, { defaultFn: this._defFecthAllFn });
+        this.publish(EVENT_INDEXES, { defaultFn: this._defIndexesFn });
+        this.publish(EVENT_CREATED, { defaultFn: this._defCreatedFn });
+        this.publish(EVENT_DESTROYED, { defaultFn: this._defDestroyedFn });
+        this.publish(EVENT_COMPACTED, { defaultFn: this._defRefreshInfoFn });
+        this.publish(EVENT_VIEWS_COMPACTED, { defaultFn: this._defRefreshInfoFn });
+        this.publish(EVENT_VIEW_CLEANUP, { defaultFn: this._defRefreshInfoFn });
+        this.publish(EVENT_FULL_COMMIT, { defaultFn: this._defRefreshInfoFn });
+        this.publish(EVENT_SECURITY, { defaultFn: this._defSecurityFn });
+        this.publish(EVENT_SECURITY_CHANGED, { defaultFn: this._defSecurityFn });
         
         this.fetchInfo();
     },
@@ -60,39 +199,18 @@ Y.namespace('Couch').DB = Y.Base.create('couch-db', Y.Couch.Base, [], {
      *   Fires couch:info on success and couch:error if there is an error.
      * @public
      * @method fetchInfo
-     * @return Y.Couch.DataSource
+     * @return Y.Promise
      */
     fetchInfo : function () {
         Y.log('fetchInfo', 'info', 'Y.Couch.Db');
         
-        var ds = this._getDataSource(true),
-            url = this._uri,
-            callbacks = {
-                
-                success: Y.bind(function (e) {
-                    this.fire(EVENT_INFO, {response: Y.JSON.parse(e.response.results[0].responseText)});
-                }, this),
-                
-                failure: Y.bind(function (e) {
-                    this.fire(EVENT_ERROR, {
-                        message : 'An error occurred fetching the information for the databases: ' + e.error.message
-                    });
-                }, this)
-            };
-            
-        ds.set('source', url);
-        
-        ds.sendRequest({
-            cfg : {
-                headers : {
-                    'Content-Type' : 'application/json'
-                },
-                method : 'GET'
-            },
-            callback : callbacks
+        return this._sendRequest({
+            url : this._uri,
+            event : EVENT_INFO,
+            cache : true,
+            operation : 'fetchInfo',
+            message : 'An error occurred fetching the information for the databases'
         });
-        
-        return ds;
     },
     
     /**
@@ -101,40 +219,585 @@ Y.namespace('Couch').DB = Y.Base.create('couch-db', Y.Couch.Base, [], {
      * @public
      * @method fetchAllDocuments
      * @param {Object} <optional> options
-     * @return Y.Couch.DataSource
+     * @return Y.Promise
      */
     fetchAllDocuments : function (options) {
         Y.log('fetchAllDocuments', 'info', 'Y.Couch.Db');
         
-        var ds = this._getDataSource(true),
-            url = this._uri + '_all_docs',
-            callbacks = {
+        return this._sendRequest({
+            url : this._uri + '_all_docs',
+            data : options,
+            event : EVENT_FETCH_ALL,
+            cache : true,
+            operation : 'fetchAllDocuments',
+            message : 'An error occurred fetching the information for the databases'
+        });
+    },
+    
+    /**
+     * Initializes a request to list the local documents of the database
+     *   through _local_docs, available on CouchDB 2.2 and newer. Fires
+     *   couch:fetchLocal on success and couch:error if there is an error.
+     * @public
+     * @method fetchLocalDocuments
+     * @param {Object} <optional> options URL options such as include_docs
+     * @return Y.Promise
+     */
+    fetchLocalDocuments : function (options) {
+        Y.log('fetchLocalDocuments', 'info', 'Y.Couch.Db');
+        
+        return this._sendRequest({
+            url : this._uri + '_local_docs',
+            data : options,
+            event : EVENT_FETCH_LOCAL,
+            cache : true,
+            operation : 'fetchLocalDocuments',
+            message : 'An error occurred fetching the local documents'
+        });
+    },
+    
+    /**
+     * Saves many documents in a single request to _bulk_docs. Fires
+     *   couch:bulkSave on success and couch:error if there is an error.
+     * @public
+     * @method bulkSave
+     * @param docs {Array} Document objects or Y.Couch.Document instances
+     * @param {Object} <optional> options Request options such as new_edits
+     *   and all_or_nothing
+     * @return Y.Promise
+     */
+    bulkSave : function (docs, options) {
+        Y.log('bulkSave', 'info', 'Y.Couch.Db');
+        
+        var requestData = Y.merge(options);
+        
+        requestData.docs = Y.Array.map(docs || [], function (doc) {
+            return (doc instanceof Y.Couch.Document) ? doc.get('data') : doc;
+        });
+        
+        return this._sendRequest({
+            url : this._uri + '_bulk_docs',
+            method : 'POST',
+            data : Y.JSON.stringify(requestData),
+            success : function (response) {
+                var saved = [],
+                    failed = [];
                 
-                success: Y.bind(function (e) {
-                    this.fire(EVENT_FETCH_ALL, {response: Y.JSON.parse(e.response.results[0].responseText)});
-                }, this),
+                Y.Array.each(response, function (row) {
+                    (row.error ? failed : saved).push(row);
+                });
                 
-                failure: Y.bind(function (e) {
-                    this.fire(EVENT_ERROR, {
-                        message : 'An error occurred fetching the information for the databases: ' + e.error.message
-                    });
-                }, this)
+                this.fire(EVENT_BULK_SAVE, {
+                    response : response,
+                    saved : saved,
+                    failed : failed
+                });
+            },
+            operation : 'bulkSave',
+            message : 'An error occurred saving the documents'
+        });
+    },
+    
+    /**
+     * Initializes a request to get the documents matching the provided keys
+     *   from _all_docs. Fires couch:fetchDocuments on success and
+     *   couch:error if there is an error.
+     * @public
+     * @method fetchDocuments
+     * @param keys {Array} Document ids to fetch
+     * @param {Object} <optional> options URL options such as include_docs
+     * @return Y.Promise
+     */
+    fetchDocuments : function (keys, options) {
+        Y.log('fetchDocuments', 'info', 'Y.Couch.Db');
+        
+        var url = this._uri + '_all_docs';
+        
+        if (options !== undefined) {
+            url += '?' + Y.QueryString.stringify(options);
+        }
+        
+        return this._sendRequest({
+            url : url,
+            method : 'POST',
+            data : Y.JSON.stringify({ keys : keys || [] }),
+            idempotent : true,
+            cache : true,
+            success : function (response) {
+                var found = [],
+                    missing = [];
+                
+                Y.Array.each(response.rows, function (row) {
+                    (row.error ? missing : found).push(row);
+                });
+                
+                this.fire(EVENT_FETCH_DOCUMENTS, {
+                    response : response,
+                    found : found,
+                    missing : missing
+                });
+            },
+            operation : 'fetchDocuments',
+            message : 'An error occurred fetching the documents'
+        });
+    },
+    
+    /**
+     * Scans all documents of the database for conflicts, reading _all_docs in
+     *   batches. The promise resolves with the id, current revision and
+     *   conflicting revisions of each document with conflicts, which can be
+     *   passed to Y.Couch.Document#resolveConflicts. Fires couch:conflicts on
+     *   success and couch:error if there is an error.
+     * @public
+     * @method fetchConflicts
+     * @param {Object} <optional> options batchSize sets the number of
+     *   documents read per request. Defaults to 100
+     * @return Y.Promise
+     */
+    fetchConflicts : function (options) {
+        Y.log('fetchConflicts', 'info', 'Y.Couch.Db');
+        
+        var batchSize = (options && options.batchSize) || 100,
+            conflicts = [],
+            fetchBatch;
+        
+        fetchBatch = Y.bind(function (startkey) {
+            var requestData = {
+                'include_docs' : true,
+                conflicts : true,
+                limit : batchSize
             };
             
-        ds.set('source', url);
-        
-        ds.sendRequest({
-            cfg : {
-                headers : {
-                    'Content-Type' : 'application/json'
-                },
-                method : 'GET',
-                data : options
+            // continue after the last document of the previous batch
+            if (startkey !== undefined) {
+                requestData.startkey = Y.JSON.stringify(startkey);
+                requestData.skip = 1;
+            }
+            
+            return this._sendRequest({
+                url : this._uri + '_all_docs',
+                data : requestData,
+                operation : 'fetchConflicts',
+                message : 'An error occurred scanning the database for conflicts'
+            }).then(function (response) {
+                var rows = response.rows || [];
+                
+                Y.Array.each(rows, function (row) {
+                    if (row.doc && row.doc._conflicts && row.doc._conflicts.length) {
+                        conflicts.push({
+                            id : row.id,
+                            rev : row.doc._rev,
+                            conflicts : row.doc._conflicts
+                        });
+                    }
+                });
+                
+                return rows.length < batchSize ? conflicts : fetchBatch(rows[rows.length - 1].id);
+            });
+        }, this);
+        
+        return fetchBatch().then(Y.bind(function (result) {
+            this.fire(EVENT_CONFLICTS, { response : result });
+            
+            return result;
+        }, this));
+    },
+    
+    /**
+     * Creates a Y.Couch.Query for the selector and fetches the first page of
+     *   results.
+     * @public
+     * @method find
+     * @param selector {Object} Mango selector the documents must match
+     * @param {Object} <optional> options Query options such as fields, sort,
+     *   limit, skip and use_index
+     * @returns Y.Couch.Query
+     */
+    find : function (selector, options) {
+        Y.log('find', 'info', 'Y.Couch.Db');
+        
+        var query = new Y.Couch.Query(Y.merge(this._getChildConfig(), options, {
+            baseURI : this.get('baseURI'),
+            databaseName : this.get('name'),
+            selector : selector
+        }));
+        
+        query.fetchData();
+        
+        return query;
+    },
+    
+    /**
+     * Initializes a request to create a Mango index. Fires couch:indexCreated
+     *   on success and couch:error if there is an error.
+     * @public
+     * @method createIndex
+     * @param fields {Array} Fields to index
+     * @param {Object} <optional> options Index options such as name, ddoc,
+     *   type and partial_filter_selector
+     * @return Y.Promise
+     */
+    createIndex : function (fields, options) {
+        Y.log('createIndex', 'info', 'Y.Couch.Db');
+        
+        var requestData = Y.merge(options);
+        
+        requestData.index = Y.merge(requestData.index, { fields : fields });
+        
+        if (requestData['partial_filter_selector']) {
+            requestData.index['partial_filter_selector'] = requestData['partial_filter_selector'];
+            delete requestData['partial_filter_selector'];
+        }
+        
+        return this._sendRequest({
+            url : this._uri + '_index',
+            method : 'POST',
+            data : Y.JSON.stringify(requestData),
+            event : EVENT_INDEX_CREATED,
+            operation : 'createIndex',
+            message : 'An error occurred creating the index'
+        });
+    },
+    
+    /**
+     * Initializes a request to get the Mango indexes of the database. Fires
+     *   couch:indexes on success and couch:error if there is an error.
+     * @public
+     * @method listIndexes
+     * @return Y.Promise
+     */
+    listIndexes : function () {
+        Y.log('listIndexes', 'info', 'Y.Couch.Db');
+        
+        return this._sendRequest({
+            url : this._uri + '_index',
+            event : EVENT_INDEXES,
+            operation : 'listIndexes',
+            message : 'An error occurred fetching the indexes'
+        });
+    },
+    
+    /**
+     * Initializes a request to delete a Mango index. Fires couch:indexDeleted
+     *   on success and couch:error if there is an error.
+     * @public
+     * @method deleteIndex
+     * @param ddoc {String} Design document of the index, with or without the
+     *   _design/ prefix
+     * @param name {String} Name of the index
+     * @param {String} <optional> type Type of the index. Defaults to 'json'
+     * @return Y.Promise
+     */
+    deleteIndex : function (ddoc, name, type) {
+        Y.log('deleteIndex', 'info', 'Y.Couch.Db');
+        
+        var url = this._uri + '_index/' + encodeURIComponent(ddoc.replace(/^_design\//, '')) + '/' +
+            encodeURIComponent(type || 'json') + '/' + encodeURIComponent(name);
+        
+        return this._sendRequest({
+            url : url,
+            method : 'DELETE',
+            event : EVENT_INDEX_DELETED,
+            operation : 'deleteIndex',
+            message : 'An error occurred deleting the index'
+        });
+    },
+    
+    /**
+     * Initializes a request to get the query plan for a Mango query. Fires
+     *   couch:explain on success and couch:error if there is an error.
+     * @public
+     * @method explain
+     * @param selector {Object} Mango selector the documents must match
+     * @param {Object} <optional> options Query options such as fields, sort,
+     *   limit, skip and use_index
+     * @return Y.Promise
+     */
+    explain : function (selector, options) {
+        Y.log('explain', 'info', 'Y.Couch.Db');
+        
+        return this._sendRequest({
+            url : this._uri + '_explain',
+            method : 'POST',
+            data : Y.JSON.stringify(Y.merge(options, { selector : selector })),
+            idempotent : true,
+            event : EVENT_EXPLAIN,
+            operation : 'explain',
+            message : 'An error occurred explaining the query'
+        });
+    },
+    
+    /**
+     * Initializes a request to create the database. Fires couch:created on
+     *   success and couch:error if there is an error.
+     * @public
+     * @method create
+     * @return Y.Promise
+     */
+    create : function () {
+        Y.log('create', 'info', 'Y.Couch.Db');
+        
+        return this._maintenanceRequest('PUT', '', EVENT_CREATED, 'creating the database', 'create');
+    },
+    
+    /**
+     * Initializes a request to delete the database. Named destroyDatabase so
+     *   Y.Base#destroy keeps tearing down the object: destroy only destroys
+     *   this Y.Couch.DB and leaves the database on the server. Fires
+     *   couch:destroyed on success and couch:error if there is an error.
+     * @public
+     * @method destroyDatabase
+     * @return Y.Promise
+     * @see Y.Couch.Connect#deleteDatabase
+     */
+    destroyDatabase : function () {
+        Y.log('destroyDatabase', 'info', 'Y.Couch.Db');
+        
+        return this._maintenanceRequest('DELETE', '', EVENT_DESTROYED, 'deleting the database', 'destroyDatabase');
+    },
+    
+    /**
+     * Initializes a request to compact the database. Fires couch:compacted on
+     *   success and couch:error if there is an error.
+     * @public
+     * @method compact
+     * @return Y.Promise
+     */
+    compact : function () {
+        Y.log('compact', 'info', 'Y.Couch.Db');
+        
+        return this._maintenanceRequest('POST', '_compact', EVENT_COMPACTED, 'compacting the database', 'compact');
+    },
+    
+    /**
+     * Initializes a request to compact the views of a design document. Fires
+     *   couch:viewsCompacted on success and couch:error if there is an error.
+     * @public
+     * @method compactViews
+     * @param designDoc {String} Design document name, with or without the
+     *   _design/ prefix
+     * @return Y.Promise
+     */
+    compactViews : function (designDoc) {
+        Y.log('compactViews', 'info', 'Y.Couch.Db');
+        
+        return this._maintenanceRequest(
+            'POST',
+            '_compact/' + encodeURIComponent(designDoc.replace(/^_design\//, '')),
+            EVENT_VIEWS_COMPACTED,
+            'compacting the views',
+            'compactViews'
+        );
+    },
+    
+    /**
+     * Initializes a request to remove index files no longer used by any
+     *   view. Fires couch:viewCleanup on success and couch:error if there is an
+     *   error.
+     * @public
+     * @method viewCleanup
+     * @return Y.Promise
+     */
+    viewCleanup : function () {
+        Y.log('viewCleanup', 'info', 'Y.Couch.Db');
+        
+        return this._maintenanceRequest('POST', '_view_cleanup', EVENT_VIEW_CLEANUP, 'cleaning up the views', 'viewCleanup');
+    },
+    
+    /**
+     * Initializes a request to commit recent changes to disk. Fires
+     *   couch:fullCommit on success and couch:error if there is an error.
+     * @public
+     * @method ensureFullCommit
+     * @return Y.Promise
+     */
+    ensureFullCommit : function () {
+        Y.log('ensureFullCommit', 'info', 'Y.Couch.Db');
+        
+        return this._maintenanceRequest('POST', '_ensure_full_commit', EVENT_FULL_COMMIT, 'committing the database', 'ensureFullCommit');
+    },
+    
+    /**
+     * Initializes a request to get the security object of the database. The
+     *   admins and members sections always hold names and roles arrays.
+     *   Fires couch:security on success and couch:error if there is an error.
+     * @public
+     * @method getSecurity
+     * @return Y.Promise
+     */
+    getSecurity : function () {
+        Y.log('getSecurity', 'info', 'Y.Couch.Db');
+        
+        return this._sendRequest({
+            url : this._uri + '_security',
+            success : function (response) {
+                var security = Y.merge(response, {
+                    admins : normalizeSection(response.admins),
+                    members : normalizeSection(response.members)
+                });
+                
+                this.fire(EVENT_SECURITY, { response : security });
+                
+                return security;
             },
-            callback : callbacks
+            operation : 'getSecurity',
+            message : 'An error occurred fetching the security object'
         });
+    },
+    
+    /**
+     * Initializes a request to replace the admins and members of the
+     *   database. Other fields of ATTRS.security are kept. Fires
+     *   couch:securityChanged on success and couch:error if there is an error.
+     * @public
+     * @method setSecurity
+     * @param admins {Object} names and roles of the database admins
+     * @param members {Object} names and roles of the database members. A
+     *   database without member names or roles is public.
+     * @return Y.Promise Resolves with the saved security object
+     */
+    setSecurity : function (admins, members) {
+        Y.log('setSecurity', 'info', 'Y.Couch.Db');
+        
+        return this._saveSecurity(Y.merge(this.get('security'), {
+            admins : normalizeSection(admins),
+            members : normalizeSection(members)
+        }), 'setSecurity');
+    },
+    
+    /**
+     * Adds names and roles to the admins of the database, keeping the rest
+     *   of the security object. Fires couch:securityChanged on success and
+     *   couch:error if there is an error.
+     * @public
+     * @method addAdmins
+     * @param config {Object} names and roles to add
+     * @return Y.Promise Resolves with the saved security object
+     */
+    addAdmins : function (config) {
+        Y.log('addAdmins', 'info', 'Y.Couch.Db');
+        return this._updateSecurity('admins', config, true, 'addAdmins');
+    },
+    
+    /**
+     * Removes names and roles from the admins of the database, keeping the
+     *   rest of the security object. Fires couch:securityChanged on success
+     *   and couch:error if there is an error.
+     * @public
+     * @method removeAdmins
+     * @param config {Object} names and roles to remove
+     * @return Y.Promise Resolves with the saved security object
+     */
+    removeAdmins : function (config) {
+        Y.log('removeAdmins', 'info', 'Y.Couch.Db');
+        return this._updateSecurity('admins', config, false, 'removeAdmins');
+    },
+    
+    /**
+     * Adds names and roles to the members of the database, keeping the rest
+     *   of the security object. Fires couch:securityChanged on success and
+     *   couch:error if there is an error.
+     * @public
+     * @method addMembers
+     * @param config {Object} names and roles to add
+     * @return Y.Promise Resolves with the saved security object
+     */
+    addMembers : function (config) {
+        Y.log('addMembers', 'info', 'Y.Couch.Db');
+        return this._updateSecurity('members', config, true, 'addMembers');
+    },
+    
+    /**
+     * Removes names and roles from the members of the database, keeping the
+     *   rest of the security object. Fires couch:securityChanged on success
+     *   and couch:error if there is an error.
+     * @public
+     * @method removeMembers
+     * @param config {Object} names and roles to remove
+     * @return Y.Promise Resolves with the saved security object
+     */
+    removeMembers : function (config) {
+        Y.log('removeMembers', 'info', 'Y.Couch.Db');
+        return this._updateSecurity('members', config, false, 'removeMembers');
+    },
+    
+    /**
+     * Fetches the current security object, adds or removes names and roles
+     *   in one of its sections and saves it
+     * @protected
+     * @method _updateSecurity
+     * @param sectionName {String} admins or members
+     * @param config {Object} names and roles to add or remove
+     * @param add {Boolean} Adds when true and removes when false
+     * @param operation {String} Name of the calling method
+     * @return Y.Promise
+     */
+    _updateSecurity : function (sectionName, config, add, operation) {
+        config = config || {};
         
-        return ds;
+        return this.getSecurity().then(Y.bind(function (security) {
+            var section = security[sectionName];
+            
+            Y.Array.each(['names', 'roles'], function (type) {
+                Y.Array.each(config[type] || [], function (val) {
+                    var index = Y.Array.indexOf(section[type], val);
+                    
+                    if (add && index === -1) {
+                        section[type].push(val);
+                    } else if (!add && index > -1) {
+                        section[type].splice(index, 1);
+                    }
+                });
+            });
+            
+            return this._saveSecurity(security, operation);
+        }, this));
+    },
+    
+    /**
+     * Sends the security object to the server and fires
+     *   couch:securityChanged on success
+     * @protected
+     * @method _saveSecurity
+     * @param security {Object}
+     * @param operation {String} Name of the calling method
+     * @return Y.Promise
+     */
+    _saveSecurity : function (security, operation) {
+        return this._sendRequest({
+            url : this._uri + '_security',
+            method : 'PUT',
+            data : Y.JSON.stringify(security),
+            success : function () {
+                this.fire(EVENT_SECURITY_CHANGED, { response : security });
+                
+                return security;
+            },
+            operation : operation,
+            message : 'An error occurred saving the security object'
+        });
+    },
+    
+    /**
+     * Sends a request without a body to a path of the database and fires
+     *   eventName with the response on success
+     * @protected
+     * @method _maintenanceRequest
+     * @param method {String} HTTP method
+     * @param path {String} Path relative to the database uri
+     * @param eventName {String} Event fired on success
+     * @param action {String} Description of the action used in error messages
+     * @param operation {String} Name of the calling method
+     * @return Y.Promise
+     */
+    _maintenanceRequest : function (method, path, eventName, action, operation) {
+        return this._sendRequest({
+            url : this._uri + path,
+            method : method,
+            event : eventName,
+            operation : operation,
+            message : 'An error occurred ' + action
+        });
     },
     
     /**
@@ -148,11 +811,99 @@ Y.namespace('Couch').DB = Y.Base.create('couch-db', Y.Couch.Base, [], {
     getDocument : function (id) {
         Y.log('getDocument', 'info', 'Y.Couch.Db');
         
-        return new Y.Couch.Document({
+        return new Y.Couch.Document(Y.merge(this._getChildConfig(), {
             baseURI : this.get('baseURI'),
             databaseName : this.get('name'),
             id : id
-        });
+        }));
+    },
+    
+    /**
+     * Creates and returns a Y.Couch.DesignDocument instance with the baseURI,
+     *   databaseName, and id set.
+     * @public
+     * @method getDesignDocument
+     * @param {String} name Design document name, with or without the
+     *   _design/ prefix
+     * @param {Object} <optional> config Design functions for the document
+     * @returns Y.Couch.DesignDocument
+     */
+    getDesignDocument : function (name, config) {
+        Y.log('getDesignDocument', 'info', 'Y.Couch.Db');
+        
+        return new Y.Couch.DesignDocument(Y.merge(this._getChildConfig(), config, {
+            baseURI : this.get('baseURI'),
+            databaseName : this.get('name'),
+            id : name
+        }));
+    },
+    
+    /**
+     * Creates and returns a Y.Couch.LocalDocument instance with the baseURI,
+     *   databaseName, and id set. Local documents are not replicated.
+     * @public
+     * @method getLocalDocument
+     * @param {String} id Local document id, with or without the _local/
+     *   prefix
+     * @returns Y.Couch.LocalDocument
+     */
+    getLocalDocument : function (id) {
+        Y.log('getLocalDocument', 'info', 'Y.Couch.Db');
+        
+        return new Y.Couch.LocalDocument(Y.merge(this._getChildConfig(), {
+            baseURI : this.get('baseURI'),
+            databaseName : this.get('name'),
+            id : id
+        }));
+    },
+    
+    /**
+     * Creates and returns a Y.Couch.Changes instance following the changes
+     *   feed of the database
+     * @public
+     * @method getChanges
+     * @param {Object} <optional> config Configuration for the changes feed
+     * @returns Y.Couch.Changes
+     */
+    getChanges : function (config) {
+        Y.log('getChanges', 'info', 'Y.Couch.Db');
+        
+        return new Y.Couch.Changes(Y.merge(this._getChildConfig(), config, {
+            baseURI : this.get('baseURI'),
+            databaseName : this.get('name')
+        }));
+    },
+    
+    /**
+     * Returns the writes to this database queued in offline mode, in the
+     *   order they will be replayed
+     * @public
+     * @method getQueuedWrites
+     * @returns {Array}
+     */
+    getQueuedWrites : function () {
+        var queued = [];
+        
+        Y.Array.each(Y.Couch.OfflineStore.getDefault().getQueue(), function (entry) {
+            if (entry.baseURI === this.get('baseURI') && entry.databaseName === this.get('name')) {
+                queued.push(entry);
+            }
+        }, this);
+        
+        return queued;
+    },
+    
+    /**
+     * Replays the writes queued in offline mode. Fires couch:synced on
+     *   Y.Couch.OfflineStore when done.
+     * @public
+     * @method sync
+     * @return Y.Promise Resolves with the replayed entries
+     * @see Y.Couch.OfflineStore#replay
+     */
+    sync : function () {
+        Y.log('sync', 'info', 'Y.Couch.Db');
+        return Y.Couch.OfflineStore.getDefault().replay();
     },
     
     /**
@@ -202,6 +953,81 @@ Y.namespace('Couch').DB = Y.Base.create('couch-db', Y.Couch.Base, [], {
     _defFecthAllFn : function (e) {
         Y.log('_defFecthAllFn', 'info', 'Y.Couch.DB');
         this._set('documents', e.response);
+    },
+    
+    /**
+     * Refreshes ATTRS.info after the database changed on the server
+     * @protected
+     * @method _defRefreshInfoFn
+     * @param {Event} e
+     */
+    _defRefreshInfoFn : function (e) {
+        Y.log('_defRefreshInfoFn', 'info', 'Y.Couch.DB');
+        this.fetchInfo();
+    },
+    
+    /**
+     * Refreshes ATTRS.info, and ATTRS.databases of ATTRS.connect, after a
+     *   couch:created event fires
+     * @protected
+     * @method _defCreatedFn
+     * @param {Event} e
+     */
+    _defCreatedFn : function (e) {
+        Y.log('_defCreatedFn', 'info', 'Y.Couch.DB');
+        this.fetchInfo();
+        this._refreshDatabases();
+    },
+    
+    /**
+     * Clears ATTRS.info and ATTRS.documents, and refreshes ATTRS.databases of
+     *   ATTRS.connect, after a couch:destroyed event fires
+     * @protected
+     * @method _defDestroyedFn
+     * @param {Event} e
+     */
+    _defDestroyedFn : function (e) {
+        Y.log('_defDestroyedFn', 'info', 'Y.Couch.DB');
+        this._set('info', null);
+        this._set('documents', null);
+        this._refreshDatabases();
+    },
+    
+    /**
+     * Refreshes ATTRS.databases of ATTRS.connect after the database was
+     *   created or deleted
+     * @protected
+     * @method _refreshDatabases
+     */
+    _refreshDatabases : function () {
+        var connect = this.get('connect');
+        
+        if (connect) {
+            connect.fetchAllDatabases(true);
+        }
+    },
+    
+    /**
+     * Stores the security object after a couch:security or
+     *   couch:securityChanged event fires
+     * @protected
+     * @method _defSecurityFn
+     * @param {Event} e
+     */
+    _defSecurityFn : function (e) {
+        Y.log('_defSecurityFn', 'info', 'Y.Couch.DB');
+        this._set('security', e.response);
+    },
+    
+    /**
+     * Stores the indexes after a couch:indexes event fires
+     * @protected
+     * @method _defIndexesFn
+     * @param {Event} e
+     */
+    _defIndexesFn : function (e) {
+        Y.log('_defIndexesFn', 'info', 'Y.Couch.DB');
+        this._set('indexes', e.response.indexes);
     }
     
 }, {
@@ -246,6 +1072,27 @@ Y.namespace('Couch').DB = Y.Base.create('couch-db', Y.Couch.Base, [], {
          */
         documents : {
             readOnly : true
+        },
+        
+        /**
+         * Mango indexes stored from the latest listIndexes call.
+         * @attribute indexes
+         * @type Array
+         * @readonly
+         */
+        indexes : {
+            readOnly : true
+        },
+        
+        /**
+         * Security object stored from the latest getSecurity call or security
+         *   change
+         * @attribute security
+         * @type Object
+         * @readonly
+         */
+        security : {
+            readOnly : true
         }
     }
 });
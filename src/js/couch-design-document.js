@@ -0,0 +1,495 @@
+/**
+ * Defines a CouchDB design document from JavaScript functions and deploys it
+ *   when it differs from the copy on the server. Provides access to its
+ *   Y.Couch.Show, Y.Couch.List and Y.Couch.UpdateHandler functions.
+ * @module couch
+ * @submodule couch-design-document
+ * @class Y.Couch.DesignDocument
+ * @extends Y.Couch.Document
+ * @author Anthony Pipkin
+ */
+
+var LANG = Y.Lang,
+    IS_FUNCTION = LANG.isFunction,
+    IS_OBJECT = LANG.isObject,
+    
+    DESIGN_PREFIX = '_design/',
+    
+    /**
+     * Design document fields managed by this class
+     * @private
+     * @property DESIGN_FIELDS
+     */
+    DESIGN_FIELDS = ['language', 'views', 'validate_doc_update', 'filters', 'shows', 'lists', 'updates', 'options'],
+    
+    EVENT_DEPLOYED = 'couch:deployed';
+
+/**
+ * Converts functions found in val to their source strings
+ * @private
+ * @method serializeFunctions
+ * @param val {Any}
+ * @returns {Any}
+ */
+function serializeFunctions(val) {
+    var out;
+    
+    if (IS_FUNCTION(val)) {
+        return val.toString();
+    }
+    
+    if (LANG.isArray(val)) {
+        return Y.Array.map(val, serializeFunctions);
+    }
+    
+    if (IS_OBJECT(val)) {
+        out = {};
+        Y.Object.each(val, function (item, key) {
+            out[key] = serializeFunctions(item);
+        });
+        return out;
+    }
+    
+    return val;
+}
+
+/**
+ * Stringifies val with sorted object keys so equal design documents compare
+ *   equal regardless of key order
+ * @private
+ * @method stableStringify
+ * @param val {Any}
+ * @returns {String}
+ */
+function stableStringify(val) {
+    if (LANG.isArray(val)) {
+        return '[' + Y.Array.map(val, stableStringify).join(',') + ']';
+    }
+    
+    if (IS_OBJECT(val)) {
+        return '{' + Y.Array.map(Y.Object.keys(val).sort(), function (key) {
+            return Y.JSON.stringify(key) + ':' + stableStringify(val[key]);
+        }).join(',') + '}';
+    }
+    
+    return Y.JSON.stringify(val);
+}
+
+Y.namespace('Couch').DesignDocument = Y.Base.create('couch-design-document', Y.Couch.Document, [], {
+    
+    /**
+     * Fired when deploy finishes. The changed property of the event is true
+     *   when the design document was saved and false when the server copy
+     *   already matched.
+     * @event couch:deployed
+     */
+    
+    /**
+     * Publishes events
+     * @public
+     * @method initializer
+     * @param {Object} config
+     */
+    initializer : function (config) {
+        this.publish(EVENT_DEPLOYED, { defaultFn: this._defDeployedFn });
+    },
+    
+    /**
+     * Defines a view
+     * @public
+     * @method setView
+     * @param name {String} Name of the view
+     * @param map {Function} Map function
+     * @param reduce {Function|String} <optional> Reduce function or the name
+     *   of a built in reduce such as '_count'
+     * @chainable
+     */
+    setView : function (name, map, reduce) {
+        var view = { map : map };
+        
+        if (reduce) {
+            view.reduce = reduce;
+        }
+        
+        return this._setFunction('views', name, view);
+    },
+    
+    /**
+     * Defines a filter function for the changes feed
+     * @public
+     * @method setFilter
+     * @param name {String}
+     * @param fn {Function}
+     * @chainable
+     */
+    setFilter : function (name, fn) {
+        return this._setFunction('filters', name, fn);
+    },
+    
+    /**
+     * Defines a show function
+     * @public
+     * @method setShow
+     * @param name {String}
+     * @param fn {Function}
+     * @chainable
+     */
+    setShow : function (name, fn) {
+        return this._setFunction('shows', name, fn);
+    },
+    
+    /**
+     * Defines a list function
+     * @public
+     * @method setList
+     * @param name {String}
+     * @param fn {Function}
+     * @chainable
+     */
+    setList : function (name, fn) {
+        return this._setFunction('lists', name, fn);
+    },
+    
+    /**
+     * Defines an update handler
+     * @public
+     * @method setUpdate
+     * @param name {String}
+     * @param fn {Function}
+     * @chainable
+     */
+    setUpdate : function (name, fn) {
+        return this._setFunction('updates', name, fn);
+    },
+    
+    /**
+     * Defines the validate_doc_update function
+     * @public
+     * @method setValidation
+     * @param fn {Function}
+     * @chainable
+     */
+    setValidation : function (fn) {
+        this.set('validate_doc_update', fn);
+        return this;
+    },
+    
+    /**
+     * Returns a show function of the design document
+     * @public
+     * @method getShow
+     * @param name {String} Name of the show function
+     * @param config {Object} Provided for extra configurations to the show
+     * @returns Y.Couch.Show
+     */
+    getShow : function (name, config) {
+        Y.log('getShow', 'info', 'Y.Couch.DesignDocument');
+        
+        return new Y.Couch.Show(this._getHandlerConfig(name, config));
+    },
+    
+    /**
+     * Returns a list function of the design document applied to a view
+     * @public
+     * @method getList
+     * @param name {String} Name of the list function
+     * @param view {String} Name of the view. Views of other design documents
+     *   are named as designName/viewName
+     * @param config {Object} Provided for extra configurations to the list,
+     *   such as the query ATTRS of Y.Couch.View
+     * @returns Y.Couch.List
+     */
+    getList : function (name, view, config) {
+        Y.log('getList', 'info', 'Y.Couch.DesignDocument');
+        
+        config = this._getHandlerConfig(name, config);
+        config.view = view;
+        
+        return new Y.Couch.List(config);
+    },
+    
+    /**
+     * Returns an update handler of the design document
+     * @public
+     * @method getUpdateHandler
+     * @param name {String} Name of the update handler
+     * @param config {Object} Provided for extra configurations to the handler
+     * @returns Y.Couch.UpdateHandler
+     */
+    getUpdateHandler : function (name, config) {
+        Y.log('getUpdateHandler', 'info', 'Y.Couch.DesignDocument');
+        
+        return new Y.Couch.UpdateHandler(this._getHandlerConfig(name, config));
+    },
+    
+    /**
+     * Returns the design fields with all functions converted to source
+     *   strings. Empty fields are left out.
+     * @public
+     * @method serialize
+     * @returns {Object}
+     */
+    serialize : function () {
+        var out = {};
+        
+        Y.Array.each(DESIGN_FIELDS, function (field) {
+            var val = this.get(field);
+            
+            if (val === null || val === undefined || (IS_OBJECT(val) && !IS_FUNCTION(val) && !Y.Object.size(val))) {
+                return;
+            }
+            
+            out[field] = serializeFunctions(val);
+        }, this);
+        
+        return out;
+    },
+    
+    /**
+     * Compares the serialized design fields with the server copy and saves
+     *   the design document only when something changed. Fires couch:deployed
+     *   on success and couch:error on failure. The promise resolves with the
+     *   deployed design document response.
+     * @public
+     * @method deploy
+     * @return Y.Promise
+     */
+    deploy : function () {
+        Y.log('deploy', 'info', 'Y.Couch.DesignDocument');
+        
+        return this._sendRequest({
+            url : this._uri,
+            success : function (response) {
+                return this._deploy(response);
+            },
+            failure : function (e) {
+                var response = e.response.results[0];
+                
+                if (response && response.status === 404) {
+                    return this._deploy(null);
+                }
+            },
+            operation : 'deploy',
+            message : 'An error occurred fetching the design document'
+        });
+    },
+    
+    /**
+     * Returns whether the design fields of the server copy match the local
+     *   definition
+     * @public
+     * @method isDeployed
+     * @param server {Object} Server copy of the design document
+     * @returns {Boolean}
+     */
+    isDeployed : function (server) {
+        var local = this.serialize(),
+            remote = {};
+        
+        if (!server) {
+            return false;
+        }
+        
+        Y.Array.each(DESIGN_FIELDS, function (field) {
+            if (server[field] !== undefined) {
+                remote[field] = server[field];
+            }
+        });
+        
+        return stableStringify(local) === stableStringify(remote);
+    },
+    
+    /**
+     * Saves the local definition on top of the server copy when they differ
+     * @protected
+     * @method _deploy
+     * @param server {Object} Server copy, or null when it does not exist
+     * @return Y.Promise
+     */
+    _deploy : function (server) {
+        var data;
+        
+        if (this.isDeployed(server)) {
+            this.fire(EVENT_DEPLOYED, {
+                changed : false,
+                response : server
+            });
+            return Y.Promise.resolve(server);
+        }
+        
+        data = Y.merge(server || { _id : DESIGN_PREFIX + decodeURIComponent(this._getName()) });
+        
+        Y.Array.each(DESIGN_FIELDS, function (field) {
+            delete data[field];
+        });
+        
+        this._set('data', Y.merge(data, this.serialize()));
+        
+        return this.save().then(Y.bind(function (response) {
+            this.fire(EVENT_DEPLOYED, {
+                changed : true,
+                response : response
+            });
+            
+            return response;
+        }, this));
+    },
+    
+    /**
+     * Stores a named entry in one of the design fields
+     * @protected
+     * @method _setFunction
+     * @param field {String}
+     * @param name {String}
+     * @param val {Function|Object}
+     * @chainable
+     */
+    _setFunction : function (field, name, val) {
+        var entries = Y.merge(this.get(field));
+        
+        entries[name] = val;
+        this.set(field, entries);
+        
+        return this;
+    },
+    
+    /**
+     * Returns the configuration of a show, list or update handler of the
+     *   design document
+     * @protected
+     * @method _getHandlerConfig
+     * @param name {String}
+     * @param config {Object}
+     * @returns {Object}
+     */
+    _getHandlerConfig : function (name, config) {
+        config = Y.merge(this._getChildConfig(), config);
+        config.name = name;
+        config.baseURI = this._uri;
+        
+        return config;
+    },
+    
+    /**
+     * Returns the encoded name of the design document without the _design/
+     *   prefix
+     * @protected
+     * @method _getName
+     * @returns {String}
+     */
+    _getName : function () {
+        return this.get('id').substring(DESIGN_PREFIX.length);
+    },
+    
+    /**
+     * Stores the deployed design document in ATTRS.data after a
+     *   couch:deployed event fires without changes
+     * @protected
+     * @method _defDeployedFn
+     * @param {Event} e
+     */
+    _defDeployedFn : function (e) {
+        Y.log('_defDeployedFn', 'info', 'Y.Couch.DesignDocument');
+        
+        if (!e.changed) {
+            this._set('data', e.response);
+        }
+    },
+    
+    /**
+     * Prefixes val with _design/ and encodes the name only, keeping the slash
+     *   of the prefix. Concatenates ATTRS.baseURI, ATTRS.databaseName and the
+     *   id in the local _uri.
+     * @protected
+     * @method _idSetter
+     * @param {String} val
+     * @returns {String} value to be stored in ATTRS.id
+     */
+    _idSetter : function (val) {
+        Y.log('_idSetter', 'info', 'Y.Couch.DesignDocument');
+        
+        if (val) {
+            val = DESIGN_PREFIX + encodeURIComponent(val.replace(/^_design\//, ''));
+        }
+        
+        this._uri = this.get('baseURI') + '/' + this.get('databaseName') + '/' + val;
+        return val;
+    }
+    
+}, {
+    ATTRS : {
+        
+        /**
+         * Language of the design functions
+         * @attribute language
+         * @type String
+         */
+        language : {
+            value : 'javascript'
+        },
+        
+        /**
+         * Views keyed by name, each an object with a map function and an
+         *   optional reduce function or built in reduce name
+         * @attribute views
+         * @type Object
+         */
+        views : {
+            value : {}
+        },
+        
+        /**
+         * Function validating document updates
+         * @attribute validate_doc_update
+         * @type Function
+         */
+        'validate_doc_update' : {
+            value : null
+        },
+        
+        /**
+         * Changes feed filter functions keyed by name
+         * @attribute filters
+         * @type Object
+         */
+        filters : {
+            value : {}
+        },
+        
+        /**
+         * Show functions keyed by name
+         * @attribute shows
+         * @type Object
+         */
+        shows : {
+            value : {}
+        },
+        
+        /**
+         * List functions keyed by name
+         * @attribute lists
+         * @type Object
+         */
+        lists : {
+            value : {}
+        },
+        
+        /**
+         * Update handlers keyed by name
+         * @attribute updates
+         * @type Object
+         */
+        updates : {
+            value : {}
+        },
+        
+        /**
+         * Design document options such as local_seq
+         * @attribute options
+         * @type Object
+         */
+        options : {
+            value : null
+        }
+    }
+});
@@ -7,11 +7,121 @@
  * @author Anthony Pipkin
  */
 
-var EVENT_ERROR = 'couch:error',
+var LANG = Y.Lang,
+    
+    EVENT_ERROR = 'couch:error',
     EVENT_INFO = 'couch:info',
     EVENT_OPENED = 'couch:opened',
     EVENT_SAVED = 'couch:saved',
-    EVENT_DELETED = 'couch:deleted';
+    EVENT_DELETED = 'couch:deleted',
+    EVENT_CONFLICT = 'couch:conflict',
+    EVENT_QUEUED = 'couch:queued',
+    EVENT_SYNCED = 'couch:synced',
+    EVENT_REVISIONS = 'couch:revisions',
+    EVENT_REVISION = 'couch:revision',
+    EVENT_OPEN_REVS = 'couch:openRevs',
+    EVENT_REVERTED = 'couch:reverted',
+    EVENT_CONFLICTS_RESOLVED = 'couch:conflictsResolved',
+    EVENT_ATTACHMENT = 'couch:attachment',
+    EVENT_ATTACHMENT_SAVED = 'couch:attachmentSaved',
+    EVENT_ATTACHMENT_REMOVED = 'couch:attachmentRemoved';
+
+/**
+ * Encodes a document id for a uri. The slash of the _design/ and _local/
+ *   prefixes is kept, since CouchDB does not route an encoded one.
+ * @private
+ * @method encodeId
+ * @param id {String}
+ * @returns {String}
+ */
+function encodeId(id) {
+    var prefix = /^_(design|local)\//.exec(id);
+    
+    return prefix ? prefix[0] + encodeURIComponent(id.substring(prefix[0].length)) : encodeURIComponent(id);
+}
+
+/**
+ * Returns the number of bytes of an attachment body, strings counted as
+ *   UTF-8
+ * @private
+ * @method byteLength
+ * @param data {String|Blob|ArrayBuffer}
+ * @returns {Number}
+ */
+function byteLength(data) {
+    if (LANG.isString(data)) {
+        return encodeURIComponent(data).replace(/%[0-9A-F]{2}/g, ' ').length;
+    }
+    
+    if (!data) {
+        return 0;
+    }
+    
+    return data.byteLength !== undefined ? data.byteLength : data.size;
+}
+
+/**
+ * Returns a random 32 character hex id, like the ids of CouchDB's random
+ *   uuid algorithm
+ * @private
+ * @method randomUUID
+ * @returns {String}
+ */
+function randomUUID() {
+    var uuid = '',
+        i;
+    
+    for (i = 0; i < 32; i += 1) {
+        uuid += Math.floor(Math.random() * 16).toString(16);
+    }
+    
+    return uuid;
+}
+
+/**
+ * Returns the JSON parts of a multipart response, such as open_revs without
+ *   an Accept header. Documents with attachments are nested multipart/related
+ *   parts, of which only the document is returned.
+ * @private
+ * @method parseMultipart
+ * @param text {String} Response body
+ * @param contentType {String} Content-Type holding the boundary
+ * @returns {Array}
+ */
+function parseMultipart(text, contentType) {
+    var boundary = /boundary="?([^";\r\n]+)"?/i.exec(contentType || ''),
+        results = [];
+    
+    if (!boundary) {
+        return results;
+    }
+    
+    Y.Array.each(text.split('--' + boundary[1]), function (part) {
+        var separator = /\r?\n\r?\n/.exec(part),
+            headers,
+            body;
+        
+        // the text before the first boundary and after the closing one
+        if (!separator || part.indexOf('--') === 0) {
+            return;
+        }
+        
+        headers = part.substring(0, separator.index);
+        body = part.substring(separator.index + separator[0].length);
+        
+        if (/content-type:\s*multipart\//i.test(headers)) {
+            results = results.concat(parseMultipart(body, headers).slice(0, 1));
+        } else if (/content-type:\s*application\/json/i.test(headers)) {
+            try {
+                results.push(Y.JSON.parse(LANG.trim(body)));
+            } catch (ex) {
+                Y.log('Skipped an invalid part of a multipart response', 'warn', 'Y.Couch.Document');
+            }
+        }
+    });
+    
+    return results;
+}
 
 Y.namespace('Couch').Document = Y.Base.create('couch-document', Y.Couch.Base, [], {
     
@@ -26,6 +136,86 @@ Y.namespace('Couch').Document = Y.Base.create('couch-document', Y.Couch.Base, []
      * @event couch:info
      */
     
+    /**
+     * Fired when the datasource in remove fires successful. By default, will
+     *   replace ATTRS.data with a deleted tombstone of the document
+     * @event couch:deleted
+     */
+    
+    /**
+     * Fired when save is rejected with 409 Conflict, once the current server
+     *   copy has been fetched. Carries the local data, the server copy, the
+     *   server revision and the resolver to run. Subscribers may replace
+     *   e.resolver or prevent the default resolution.
+     * @event couch:conflict
+     */
+    
+    /**
+     * Fired when the datasource in getRevisions fires successful. By default,
+     *   will store the revisions into ATTRS.revisions
+     * @event couch:revisions
+     */
+    
+    /**
+     * Fired when the datasource in openRevision fires successful. Carries the
+     *   revision and its body. ATTRS.data is left untouched.
+     * @event couch:revision
+     */
+    
+    /**
+     * Fired when the datasource in openRevs fires successful. The event
+     *   carries the response along with the revisions split into found
+     *   documents and missing revisions.
+     * @event couch:openRevs
+     */
+    
+    /**
+     * Fired when revertTo saved the body of an old revision. Carries the
+     *   reverted revision and the save response.
+     * @event couch:reverted
+     */
+    
+    /**
+     * Fired when resolveConflicts saved the winner and deleted the losing
+     *   revisions. Carries the winner, the deleted revisions and the
+     *   _bulk_docs response. By default, will store the winner into
+     *   ATTRS.data and clear ATTRS.conflicts
+     * @event couch:conflictsResolved
+     */
+    
+    /**
+     * Fired in offline mode when save or remove cannot reach the server and
+     *   the write is queued in Y.Couch.OfflineStore. The queued entry is
+     *   stored in the entry property of the event.
+     * @event couch:queued
+     */
+    
+    /**
+     * Fired when a write queued by this document is replayed. By default,
+     *   will store the new revision in ATTRS.data
+     * @event couch:synced
+     */
+    
+    /**
+     * Fired when the datasource in getAttachment fires successful. The
+     *   attachment body is stored in the response property of the event, as
+     *   read with the responseType passed to getAttachment.
+     * @event couch:attachment
+     */
+    
+    /**
+     * Fired when the datasource in putAttachment fires successful. By default,
+     *   will store the new revision and an attachment stub in ATTRS.data
+     * @event couch:attachmentSaved
+     */
+    
+    /**
+     * Fired when the datasource in removeAttachment fires successful. By
+     *   default, will store the new revision and drop the attachment from
+     *   ATTRS.data
+     * @event couch:attachmentRemoved
+     */
+    
     /**
      * The uri to the document. Built by setting ATTRS.baseURI,
      *   ATTRS.databaseName and ATTRS.id
@@ -34,6 +224,21 @@ Y.namespace('Couch').Document = Y.Base.create('couch-document', Y.Couch.Base, []
      */
     _uri : '',
     
+    /**
+     * Number of automatic saves made while resolving the current conflict
+     * @protected
+     * @property _conflictRetries
+     */
+    _conflictRetries : 0,
+    
+    /**
+     * Promise of the resolution started by _defConflictFn, picked up by
+     *   _fetchConflict once couch:conflict has fired
+     * @protected
+     * @property _conflictResolution
+     */
+    _conflictResolution : null,
+    
     /**
      * Publishes events and immediatly calls fetchInfo
      * @public
@@ -48,6 +253,12 @@ Y.namespace('Couch').Document = Y.Base.create('couch-document', Y.Couch.Base, []
         this.publish(EVENT_OPENED, { defaultFn: this._defOpenedFn });
         this.publish(EVENT_SAVED, { defaultFn: this._defSavedFn });
         this.publish(EVENT_DELETED, { defaultFn: this._defRemovedFn });
+        this.publish(EVENT_CONFLICT, { defaultFn: this._defConflictFn });
+        this.publish(EVENT_SYNCED, { defaultFn: this._defSyncedFn });
+        this.publish(EVENT_REVISIONS, { defaultFn: this._defRevisionsFn });
+        this.publish(EVENT_CONFLICTS_RESOLVED, { defaultFn: this._defConflictsResolvedFn });
+        this.publish(EVENT_ATTACHMENT_SAVED, { defaultFn: this._defAttachmentSavedFn });
+        this.publish(EVENT_ATTACHMENT_REMOVED, { defaultFn: this._defAttachmentRemovedFn });
         
         this.fetchInfo();
     },
@@ -58,39 +269,17 @@ Y.namespace('Couch').Document = Y.Base.create('couch-document', Y.Couch.Base, []
      * @public
      * @method fetchInfo
      * @param getNew {Boolean} Uses the local datasource or creates a new object
-     * @return Y.Couch.DataSource
+     * @return Y.Promise
      */
     fetchInfo : function () {
         Y.log('fetchInfo', 'info', 'Y.Couch.Document');
         
-        var ds = this._getDataSource(true),
-            url = this._uri,
-            callbacks = {
-                
-                success: Y.bind(function (e) {
-                    this.fire(EVENT_INFO, {response: Y.JSON.parse(e.response.results[0].responseText)});
-                }, this),
-                
-                failure: Y.bind(function (e) {
-                    this.fire(EVENT_ERROR, {
-                        message : 'An error occurred fetching the information for the databases: ' + e.error.message
-                    });
-                }, this)
-            };
-            
-        ds.set('source', url);
-        
-        ds.sendRequest({
-            cfg : {
-                headers : {
-                    'Content-Type' : 'application/json'
-                },
-                method : 'GET'
-            },
-            callback : callbacks
+        return this._sendRequest({
+            url : this._uri,
+            event : EVENT_INFO,
+            operation : 'fetchInfo',
+            message : 'An error occurred fetching the information for the databases'
         });
-        
-        return ds;
     },
     
     /**
@@ -105,8 +294,12 @@ Y.namespace('Couch').Document = Y.Base.create('couch-document', Y.Couch.Base, []
         var info = this.get('info');
         
         if (!info || !info.views) {
-            this.fire('EVENT_ERROR', {
-                message : 'There is no information for this document available.'
+            this.fire(EVENT_ERROR, {
+                message : 'There is no information for this document available.',
+                error : new Y.Couch.Error({
+                    message : 'There is no information for this document available.',
+                    operation : 'getAllViews'
+                })
             });
             return [];
         }
@@ -125,7 +318,7 @@ Y.namespace('Couch').Document = Y.Base.create('couch-document', Y.Couch.Base, []
     getView : function (name, config) {
         Y.log('getView', 'info', 'Y.Couch.Document');
         
-        config = config || {};
+        config = Y.merge(this._getChildConfig(), config);
         config.name = name;
         config.baseURI = this._uri;
         
@@ -134,111 +327,758 @@ Y.namespace('Couch').Document = Y.Base.create('couch-document', Y.Couch.Base, []
     
     /**
      * Opens a document with the name stored in ATTRS.name. Fires couch:opened
-     *   on success and couch:error on failure.
+     *   on success and couch:error on failure. Set options.attachments to true
+     *   to receive attachment bodies inline as base64 and
+     *   options.att_encoding_info to true to receive their encoding details.
+     *   Set options.conflicts and options.deleted_conflicts to true to fill
+     *   ATTRS.conflicts and ATTRS.deletedConflicts. In offline mode the last
+     *   opened copy is used when the server cannot be reached.
      * @public
      * @method open
      * @param options {Object} URL options for opening the document
-     * @return Y.Couch.DataSource
+     * @return Y.Promise
      */
     open : function (options) {
         Y.log('open', 'info', 'Y.Couch.Document');
         
-        var ds = this._getDataSource(true),
-            url = this._uri,
-            callbacks = {
+        return this._sendRequest({
+            url : this._uri,
+            headers : {
+                'Accept' : 'application/json'
+            },
+            data : options,
+            event : EVENT_OPENED,
+            cache : true,
+            operation : 'open',
+            message : 'An error occurred opening the document'
+        });
+    },
+    
+    /**
+     * Initializes a request for the revision history of the document with
+     *   revs_info. The promise resolves with the available, deleted and
+     *   missing revisions, newest first, along with the revsInfo of the
+     *   response. Missing revisions were removed by compaction. Fires
+     *   couch:revisions on success and couch:error on failure.
+     * @public
+     * @method getRevisions
+     * @return Y.Promise
+     */
+    getRevisions : function () {
+        Y.log('getRevisions', 'info', 'Y.Couch.Document');
+        
+        return this._sendRequest({
+            url : this._uri,
+            headers : {
+                'Accept' : 'application/json'
+            },
+            data : { 'revs_info' : true },
+            success : function (response) {
+                var revisions = {
+                        available : [],
+                        deleted : [],
+                        missing : [],
+                        revsInfo : response._revs_info || []
+                    };
                 
-                success: Y.bind(function (e) {
-                    this.fire(EVENT_OPENED, {response: Y.JSON.parse(e.response.results[0].responseText)});
-                }, this),
+                Y.Array.each(revisions.revsInfo, function (info) {
+                    (revisions[info.status] || revisions.missing).push(info.rev);
+                });
                 
-                failure: Y.bind(function (e) {
-                    this.fire(EVENT_ERROR, {
-                        message : 'An error occurred opening the document: ' + e.error.message
+                this.fire(EVENT_REVISIONS, { response : revisions });
+                
+                return revisions;
+            },
+            operation : 'getRevisions',
+            message : 'An error occurred fetching the revisions of the document'
+        });
+    },
+    
+    /**
+     * Initializes a request for the body of one revision of the document,
+     *   without replacing ATTRS.data. Fires couch:revision on success and
+     *   couch:error on failure.
+     * @public
+     * @method openRevision
+     * @param rev {String} Revision to open
+     * @param options {Object} <optional> URL options such as attachments
+     * @return Y.Promise
+     */
+    openRevision : function (rev, options) {
+        Y.log('openRevision', 'info', 'Y.Couch.Document');
+        
+        if (!rev) {
+            return this._rejectRequest('No revision given to open.', 'openRevision');
+        }
+        
+        return this._sendRequest({
+            url : this._uri,
+            headers : {
+                'Accept' : 'application/json'
+            },
+            data : Y.merge(options, { rev : rev }),
+            success : function (response) {
+                this.fire(EVENT_REVISION, {
+                    rev : rev,
+                    response : response
+                });
+            },
+            operation : 'openRevision',
+            message : 'An error occurred opening the revision ' + rev
+        });
+    },
+    
+    /**
+     * Initializes a request for several revisions of the document with
+     *   open_revs, such as the leaves of conflicting branches. The promise
+     *   resolves with an array of { ok : document } and { missing : rev }
+     *   objects, parsed from JSON or from a multipart response. Fires
+     *   couch:openRevs on success and couch:error on failure.
+     * @public
+     * @method openRevs
+     * @param revs {Array|String} Revisions to open, or 'all' for all leaf
+     *   revisions
+     * @param options {Object} <optional> URL options such as attachments
+     * @return Y.Promise
+     */
+    openRevs : function (revs, options) {
+        Y.log('openRevs', 'info', 'Y.Couch.Document');
+        
+        if (revs !== 'all' && !LANG.isArray(revs)) {
+            return this._rejectRequest('Revisions must be an array or all.', 'openRevs');
+        }
+        
+        return this._sendRequest({
+            url : this._uri,
+            headers : {
+                'Accept' : 'application/json'
+            },
+            data : Y.merge(options, { 'open_revs' : revs === 'all' ? revs : Y.JSON.stringify(revs) }),
+            raw : 'auto',
+            success : function (response, io) {
+                var results = response,
+                    found = [],
+                    missing = [];
+                
+                if (LANG.isString(response)) {
+                    results = [];
+                    
+                    Y.Array.each(parseMultipart(response, io.getResponseHeader('Content-Type')), function (body) {
+                        results.push(body.missing && !body._id ? body : { ok : body });
                     });
-                }, this)
-            };
-            
-        ds.set('source', url);
+                }
+                
+                Y.Array.each(results, function (result) {
+                    if (result.ok) {
+                        found.push(result.ok);
+                    } else {
+                        missing.push(result.missing);
+                    }
+                });
+                
+                this.fire(EVENT_OPEN_REVS, {
+                    response : results,
+                    found : found,
+                    missing : missing
+                });
+                
+                return results;
+            },
+            operation : 'openRevs',
+            message : 'An error occurred opening the revisions of the document'
+        });
+    },
+    
+    /**
+     * Saves the body of an old revision on top of the current revision,
+     *   undoing the changes made since. Attachments of the old revision are
+     *   uploaded again. A deleted document is restored. Fires couch:reverted
+     *   after the save and couch:error on failure.
+     * @public
+     * @method revertTo
+     * @param rev {String} Revision to revert to
+     * @return Y.Promise Resolves with the save response
+     */
+    revertTo : function (rev) {
+        Y.log('revertTo', 'info', 'Y.Couch.Document');
+        
+        var revision;
         
-        ds.sendRequest({
-            cfg : {
+        if (!rev) {
+            return this._rejectRequest('No revision given to revert to.', 'revertTo');
+        }
+        
+        return this._sendRequest({
+            url : this._uri,
+            headers : {
+                'Accept' : 'application/json'
+            },
+            data : { rev : rev, attachments : true },
+            operation : 'revertTo',
+            message : 'An error occurred opening the revision ' + rev
+        }).then(Y.bind(function (response) {
+            revision = response;
+            
+            if (revision._deleted) {
+                return this._rejectRequest('Cannot revert to the deleted revision ' + rev + '.', 'revertTo');
+            }
+            
+            return this._sendRequest({
+                url : this._uri,
                 headers : {
-                    'Content-Type' : 'application/json'
+                    'Accept' : 'application/json'
                 },
-                method : 'GET',
-                data: options
-            },
-            callback : callbacks
+                success : function (current) {
+                    return current._rev;
+                },
+                failure : function (e) {
+                    var io = e.response.results[0];
+                    
+                    // a deleted document is restored by saving without a revision
+                    if (io && io.status === 404) {
+                        return null;
+                    }
+                },
+                operation : 'revertTo',
+                message : 'An error occurred fetching the current revision'
+            });
+        }, this)).then(Y.bind(function (currentRev) {
+            var documentData = {},
+                attachments = {};
+            
+            Y.Object.each(revision, function (val, key) {
+                if (key.charAt(0) !== '_' || key === '_id') {
+                    documentData[key] = val;
+                }
+            });
+            
+            if (revision._attachments) {
+                Y.Object.each(revision._attachments, function (attachment, name) {
+                    attachments[name] = {
+                        'content_type' : attachment.content_type,
+                        data : attachment.data
+                    };
+                });
+                
+                documentData._attachments = attachments;
+            }
+            
+            if (currentRev) {
+                documentData._rev = currentRev;
+            }
+            
+            this._set('data', documentData);
+            
+            return this.save();
+        }, this)).then(Y.bind(function (response) {
+            this.fire(EVENT_REVERTED, {
+                rev : rev,
+                response : response
+            });
+            
+            return response;
+        }, this));
+    },
+    
+    /**
+     * Resolves the conflicts of the document. All conflicting leaves are
+     *   opened and passed to winnerFn, which returns one of them to keep or a
+     *   merged document. A merged document is saved on top of the current
+     *   revision. The losing leaves are deleted in the same _bulk_docs
+     *   request. Fires couch:conflictsResolved on success and couch:error on
+     *   failure.
+     * @public
+     * @method resolveConflicts
+     * @param winnerFn {Function} <optional> Receives the leaves, the current
+     *   winning revision first, and returns the winner. Defaults to keeping
+     *   the current winning revision.
+     * @return Y.Promise Resolves with the winner, the deleted revisions and
+     *   the _bulk_docs response
+     */
+    resolveConflicts : function (winnerFn) {
+        Y.log('resolveConflicts', 'info', 'Y.Couch.Document');
+        
+        var current;
+        
+        winnerFn = winnerFn || function (leaves) {
+            return leaves[0];
+        };
+        
+        return this.open({ conflicts : true }).then(Y.bind(function (response) {
+            current = response;
+            
+            if (!current._conflicts || !current._conflicts.length) {
+                return null;
+            }
+            
+            return this.openRevs([current._rev].concat(current._conflicts));
+        }, this)).then(Y.bind(function (results) {
+            var leaves = [],
+                winner;
+            
+            if (!results) {
+                return {
+                    winner : current,
+                    deleted : [],
+                    response : null
+                };
+            }
+            
+            Y.Array.each(results, function (result) {
+                if (result.ok && !result.ok._deleted) {
+                    leaves.push(result.ok);
+                }
+            });
+            
+            winner = winnerFn.call(this, leaves);
+            
+            if (!winner) {
+                return this._rejectRequest('No winner was picked for the conflicts of ' + current._id + '.', 'resolveConflicts');
+            }
+            
+            return this._deleteLosers(current, leaves, winner);
+        }, this));
+    },
+    
+    /**
+     * Saves the winner of resolveConflicts when it was merged and deletes the
+     *   other leaves in one _bulk_docs request
+     * @protected
+     * @method _deleteLosers
+     * @param current {Object} Current winning revision
+     * @param leaves {Array} Conflicting leaves
+     * @param winner {Object} One of the leaves or a merged document
+     * @return Y.Promise
+     */
+    _deleteLosers : function (current, leaves, winner) {
+        var picked = Y.Array.indexOf(leaves, winner) > -1,
+            keptRev = picked ? winner._rev : current._rev,
+            url = this.get('baseURI') + '/' + this.get('databaseName') + '/_bulk_docs',
+            docs = [],
+            deleted = [];
+        
+        if (!picked) {
+            winner = Y.merge(winner, {
+                _id : current._id,
+                _rev : current._rev
+            });
+            
+            delete winner._conflicts;
+            delete winner['_deleted_conflicts'];
+            delete winner._revisions;
+            
+            docs.push(winner);
+        }
+        
+        Y.Array.each(leaves, function (leaf) {
+            if (leaf._rev !== keptRev) {
+                docs.push({
+                    _id : leaf._id,
+                    _rev : leaf._rev,
+                    _deleted : true
+                });
+                deleted.push(leaf._rev);
+            }
         });
         
-        return ds;
+        return this._sendRequest({
+            url : url,
+            method : 'POST',
+            data : Y.JSON.stringify({ docs : docs }),
+            success : function (response) {
+                var failed = null,
+                    error;
+                
+                Y.Array.each(response, function (row) {
+                    failed = failed || (row.error ? row : null);
+                });
+                
+                if (failed) {
+                    error = Y.Couch.Error.create({
+                        error : failed.error,
+                        reason : failed.reason,
+                        message : 'Could not resolve the conflicts of ' + current._id + ': ' + (failed.reason || failed.error),
+                        method : 'POST',
+                        url : url,
+                        operation : 'resolveConflicts'
+                    });
+                    
+                    this.fire(EVENT_ERROR, {
+                        message : error.message,
+                        error : error
+                    });
+                    
+                    return Y.Promise.reject(error);
+                }
+                
+                if (!picked) {
+                    winner = Y.merge(winner, { _rev : response[0].rev });
+                }
+                
+                this.fire(EVENT_CONFLICTS_RESOLVED, {
+                    winner : winner,
+                    deleted : deleted,
+                    response : response
+                });
+                
+                return {
+                    winner : winner,
+                    deleted : deleted,
+                    response : response
+                };
+            },
+            operation : 'resolveConflicts',
+            message : 'An error occurred resolving the conflicts'
+        });
     },
     
     /**
-     * Saves the document with the provided options
+     * Saves the document with the provided options. Fires couch:saved on
+     *   success, couch:conflict when CouchDB responds with 409 Conflict and
+     *   couch:error on any other failure. Inline attachments added with
+     *   addInlineAttachment are uploaded along with the document. The promise
+     *   of a conflicting save follows the conflict resolution and is rejected
+     *   when the conflict is left unresolved. In offline mode the save is
+     *   queued when the server cannot be reached, or when earlier writes are
+     *   still queued, and the promise resolves with { ok, queued, id }.
+     *   Documents without an id are created with a POST to the database, or
+     *   with a uuid from ATTRS.connect when ATTRS.idStrategy is uuids,
+     *   after which ATTRS.id points at the new document.
      * TODO: clean up documentData before saving
      * @public
      * @method save
      * @param options {Object} URL options for saving the document
-     * @return Y.Couch.DataSource
+     * @return Y.Promise
      */
     save : function (options) {
         Y.log('save', 'info', 'Y.Couch.Document');
         
         var documentData = this.get('data'),
-            ds = this._getDataSource(true),
             url = this._uri,
-            callbacks = {
-                
-                success: Y.bind(function (e) {
-                    this.fire(EVENT_SAVED, {response: Y.JSON.parse(e.response.results[0].responseText)});
-                }, this),
-                
-                failure: Y.bind(function (e) {
-                    this.fire(EVENT_ERROR, {
-                        message : 'An error occurred opening the document: ' + e.error.message
-                    });
-                }, this)
-            };
-            
-        if (!documentData || !documentData._id) {
-            this.fire(EVENT_ERROR, {
-                message : 'No data found on the document to save.'
-            });
-            return null;
+            method = 'PUT',
+            query = '';
+        
+        if (!documentData) {
+            return this._rejectRequest('No data found on the document to save.', 'save');
+        }
+        
+        if (this._mustQueue()) {
+            return this._enqueue('save', documentData, options);
         }
         
-        url += encodeURIComponent(documentData._id);
+        // _uri only points at the document when ATTRS.id is set
+        if (!this.get('id') && documentData._id) {
+            url += encodeId(documentData._id);
+        } else if (!this.get('id')) {
+            if (this.get('idStrategy') === 'uuids') {
+                return this._saveWithUUID(options);
+            }
+            
+            method = 'POST';
+        }
         
         if (options !== undefined) {
-            url += '?' + this._queryString( options );
+            query = '?' + Y.QueryString.stringify(options);
         }
         
-        ds.set('source', url);
-        
-        ds.sendRequest({
-            cfg : {
-                headers : {
-                    'Content-Type' : 'application/json'
-                },
-                method : 'PUT',
-                data : documentData
+        return this._sendRequest({
+            url : url + query,
+            method : method,
+            data : Y.JSON.stringify(documentData),
+            success : function (response) {
+                this._conflictRetries = 0;
+                this.fire(EVENT_SAVED, {
+                    response : response,
+                    id : response.id,
+                    rev : response.rev
+                });
             },
-            callback : callbacks
+            failure : function (e) {
+                var response = e.response.results[0],
+                    conflict = null;
+                
+                if (response && response.status === 409) {
+                    try {
+                        conflict = Y.JSON.parse(response.responseText);
+                    } catch (ex) {
+                        Y.log('Invalid JSON in the conflict response', 'warn', 'Y.Couch.Document');
+                    }
+                }
+                
+                // conflicts without a CouchDB body are rejected with the
+                // generic Y.Couch.ConflictError
+                if (LANG.isObject(conflict)) {
+                    return this._fetchConflict(url, documentData, options, conflict);
+                }
+                
+                if (this.get('offline') && this._isNetworkError(response || {})) {
+                    return this._enqueue('save', documentData, options);
+                }
+            },
+            operation : 'save',
+            message : 'An error occurred saving the document'
         });
-        
-        return ds;
     },
     
     /**
-     * Removes a document with the stored ATTRS.name
-     * TODO: Remove the document
+     * Removes the document. The revision is taken from options.rev when
+     *   provided, otherwise from the _rev stored in ATTRS.data. Fires
+     *   couch:deleted on success and couch:error on failure. In offline mode
+     *   the removal is queued like save.
      * @public
-     * @method getDatabase
+     * @method remove
      * @param options {Object} URL options for removing the document
+     * @return Y.Promise
      */
     remove : function (options) {
         Y.log('remove', 'info', 'Y.Couch.Document');
+        
+        var documentData = this.get('data');
+        
+        options = Y.merge(options);
+        
+        if (!options.rev && documentData) {
+            options.rev = documentData._rev;
+        }
+        
+        if (!options.rev) {
+            return this._rejectRequest('No revision found for the document to remove.', 'remove');
+        }
+        
+        if (this._mustQueue()) {
+            return this._enqueue('remove', documentData, options);
+        }
+        
+        return this._sendRequest({
+            url : this._uri + '?' + Y.QueryString.stringify(options),
+            method : 'DELETE',
+            event : EVENT_DELETED,
+            failure : function (e) {
+                var response = e.response.results[0];
+                
+                if (this.get('offline') && this._isNetworkError(response || {})) {
+                    return this._enqueue('remove', documentData, options);
+                }
+            },
+            operation : 'remove',
+            message : 'An error occurred removing the document'
+        });
+    },
+    
+    /**
+     * Returns an array of the attachment stubs stored in ATTRS.data. Each
+     *   stub is extended with its name.
+     * @public
+     * @method listAttachments
+     * @returns {Array}
+     */
+    listAttachments : function () {
+        Y.log('listAttachments', 'info', 'Y.Couch.Document');
+        
+        var documentData = this.get('data'),
+            attachments = (documentData && documentData._attachments) || {};
+        
+        return Y.Array.map(Y.Object.keys(attachments), function (name) {
+            return Y.merge(attachments[name], { name : name });
+        });
+    },
+    
+    /**
+     * Adds an inline attachment to ATTRS.data which is uploaded on the next
+     *   save. The data is base64 encoded, strings as UTF-8, unless the encoded
+     *   param is true. Blobs cannot be read synchronously and are uploaded
+     *   with putAttachment instead.
+     * @public
+     * @method addInlineAttachment
+     * @param name {String} Name of the attachment
+     * @param data {String|ArrayBuffer} Attachment body
+     * @param contentType {String} MIME type of the attachment
+     * @param encoded {Boolean} Whether data is already base64 encoded
+     * @chainable
+     */
+    addInlineAttachment : function (name, data, contentType, encoded) {
+        Y.log('addInlineAttachment', 'info', 'Y.Couch.Document');
+        
+        var documentData = Y.merge(this.get('data')),
+            attachments = Y.merge(documentData._attachments);
+        
+        attachments[name] = {
+            'content_type' : contentType,
+            data : encoded ? data : Y.Couch.DataSource.base64(data)
+        };
+        
+        documentData._attachments = attachments;
+        this._set('data', documentData);
+        
+        return this;
+    },
+    
+    /**
+     * Uploads an attachment through the standalone attachment endpoint using
+     *   the _rev stored in ATTRS.data. Blobs, ArrayBuffers and typed arrays
+     *   are sent as they are, strings as UTF-8. Fires couch:attachmentSaved
+     *   on success and couch:error on failure.
+     * @public
+     * @method putAttachment
+     * @param name {String} Name of the attachment
+     * @param data {String|Blob|ArrayBuffer} Attachment body
+     * @param contentType {String} MIME type of the attachment
+     * @return Y.Promise
+     */
+    putAttachment : function (name, data, contentType) {
+        Y.log('putAttachment', 'info', 'Y.Couch.Document');
+        
+        var documentData = this.get('data'),
+            url = this._getAttachmentURI(name);
+        
+        if (documentData && documentData._rev) {
+            url += '?' + Y.QueryString.stringify({ rev : documentData._rev });
+        }
+        
+        return this._sendRequest({
+            url : url,
+            method : 'PUT',
+            headers : {
+                'Content-Type' : contentType
+            },
+            data : data,
+            success : function (response) {
+                this.fire(EVENT_ATTACHMENT_SAVED, {
+                    name : name,
+                    contentType : contentType,
+                    length : byteLength(data),
+                    response : response
+                });
+            },
+            operation : 'putAttachment',
+            message : 'An error occurred saving the attachment'
+        });
+    },
+    
+    /**
+     * Initializes a request to get the body of an attachment. Fires
+     *   couch:attachment on success and couch:error on failure. The promise
+     *   resolves with the attachment body, as an ArrayBuffer by default so
+     *   binary attachments are not corrupted by decoding them as text.
+     * @public
+     * @method getAttachment
+     * @param name {String} Name of the attachment
+     * @param responseType {String} <optional> arraybuffer, blob or text.
+     *   Defaults to arraybuffer
+     * @return Y.Promise
+     */
+    getAttachment : function (name, responseType) {
+        Y.log('getAttachment', 'info', 'Y.Couch.Document');
+        
+        responseType = responseType || 'arraybuffer';
+        
+        return this._sendRequest({
+            url : this._getAttachmentURI(name),
+            raw : true,
+            responseType : responseType === 'text' ? undefined : responseType,
+            success : function (response, io) {
+                this.fire(EVENT_ATTACHMENT, {
+                    name : name,
+                    contentType : io.getResponseHeader ? io.getResponseHeader('Content-Type') : null,
+                    response : response
+                });
+            },
+            operation : 'getAttachment',
+            message : 'An error occurred fetching the attachment'
+        });
+    },
+    
+    /**
+     * Removes an attachment using the _rev stored in ATTRS.data. Fires
+     *   couch:attachmentRemoved on success and couch:error on failure.
+     * @public
+     * @method removeAttachment
+     * @param name {String} Name of the attachment
+     * @return Y.Promise
+     */
+    removeAttachment : function (name) {
+        Y.log('removeAttachment', 'info', 'Y.Couch.Document');
+        
+        var documentData = this.get('data');
+        
+        if (!documentData || !documentData._rev) {
+            return this._rejectRequest('No revision found for the document to remove the attachment from.', 'removeAttachment');
+        }
+        
+        return this._sendRequest({
+            url : this._getAttachmentURI(name) + '?' + Y.QueryString.stringify({ rev : documentData._rev }),
+            method : 'DELETE',
+            success : function (response) {
+                this.fire(EVENT_ATTACHMENT_REMOVED, {
+                    name : name,
+                    response : response
+                });
+            },
+            operation : 'removeAttachment',
+            message : 'An error occurred removing the attachment'
+        });
+    },
+    
+    /**
+     * Returns the uri to an attachment of the document. Slashes in the name
+     *   are kept as path separators.
+     * @protected
+     * @method _getAttachmentURI
+     * @param name {String} Name of the attachment
+     * @returns {String}
+     */
+    _getAttachmentURI : function (name) {
+        return this._uri + '/' + Y.Array.map(name.split('/'), encodeURIComponent).join('/');
+    },
+    
+    /**
+     * Fetches the current server copy of a document after a save resulted in
+     *   a conflict and fires couch:conflict with both copies. The promise
+     *   follows the resolution started by the default conflict handler and is
+     *   rejected when the conflict is left unresolved.
+     * @protected
+     * @method _fetchConflict
+     * @param url {String} URI of the conflicting document
+     * @param localData {Object} Document data that failed to save
+     * @param options {Object} URL options used for the failed save
+     * @param response {Object} Parsed CouchDB conflict response
+     * @return Y.Promise
+     */
+    _fetchConflict : function (url, localData, options, response) {
+        Y.log('_fetchConflict', 'info', 'Y.Couch.Document');
+        
+        return this._sendRequest({
+            url : url,
+            success : function (server) {
+                var resolution;
+                
+                this._conflictResolution = null;
+                
+                this.fire(EVENT_CONFLICT, {
+                    response : response,
+                    data : localData,
+                    server : server,
+                    rev : server._rev,
+                    options : options,
+                    resolver : this.get('conflictResolver')
+                });
+                
+                resolution = this._conflictResolution;
+                this._conflictResolution = null;
+                
+                return resolution || Y.Promise.reject(Y.Couch.Error.create({
+                    status : 409,
+                    error : response.error,
+                    reason : response.reason,
+                    message : 'Document update conflict: ' + server._id,
+                    method : 'PUT',
+                    url : url,
+                    operation : 'save'
+                }));
+            },
+            operation : 'save',
+            message : 'An error occurred fetching the conflicting document'
+        });
     },
     
     /* DEF EVENT FN */
@@ -255,36 +1095,311 @@ Y.namespace('Couch').Document = Y.Base.create('couch-document', Y.Couch.Base, []
     },
     
     /**
-     * Stores document information in ATTRS.data after a couch:opened event fires
+     * Stores document information in ATTRS.data, and the conflicting
+     *   revisions in ATTRS.conflicts and ATTRS.deletedConflicts, after a
+     *   couch:opened event fires
      * @protected
      * @method _defOpenedFn
      * @param {Event} e
      */
     _defOpenedFn : function (e) {
         Y.log('_defOpenedFn', 'info', 'Y.Couch.Document');
-        this._set('data', e.response);
+        
+        var documentData = e.response;
+        
+        this._set('conflicts', documentData._conflicts || []);
+        this._set('deletedConflicts', documentData['_deleted_conflicts'] || []);
+        
+        // CouchDB rejects saves carrying the conflict fields
+        if (documentData._conflicts || documentData['_deleted_conflicts']) {
+            documentData = Y.merge(documentData);
+            delete documentData._conflicts;
+            delete documentData['_deleted_conflicts'];
+        }
+        
+        this._set('data', documentData);
+    },
+    
+    /**
+     * Stores the winner in ATTRS.data and clears ATTRS.conflicts after a
+     *   couch:conflictsResolved event fires
+     * @protected
+     * @method _defConflictsResolvedFn
+     * @param {Event} e
+     */
+    _defConflictsResolvedFn : function (e) {
+        Y.log('_defConflictsResolvedFn', 'info', 'Y.Couch.Document');
+        this._set('data', e.winner);
+        this._set('conflicts', []);
+    },
+    
+    /**
+     * Stores the revisions in ATTRS.revisions after a couch:revisions event
+     *   fires
+     * @protected
+     * @method _defRevisionsFn
+     * @param {Event} e
+     */
+    _defRevisionsFn : function (e) {
+        Y.log('_defRevisionsFn', 'info', 'Y.Couch.Document');
+        this._set('revisions', e.response);
     },
     
     /**
-     * Method is called after couch:saved event fires
-     * TODO: work with saved document resopnse
+     * Saves a new document under a uuid handed out by ATTRS.connect. Rejects
+     *   when the document was not created from a Y.Couch.Connect. In offline
+     *   mode the save is queued when the uuid cannot be fetched.
+     * @protected
+     * @method _saveWithUUID
+     * @param options {Object} URL options for saving the document
+     * @return Y.Promise
+     */
+    _saveWithUUID : function (options) {
+        var connect = this.get('connect');
+        
+        if (!connect) {
+            return this._rejectRequest('The uuids idStrategy needs a Y.Couch.Connect in ATTRS.connect.', 'save');
+        }
+        
+        return connect.getUUID().then(Y.bind(function (uuid) {
+            this._set('data', Y.merge(this.get('data'), { _id : uuid }));
+            return this.save(options);
+        }, this), Y.bind(function (err) {
+            if (this.get('offline') && err instanceof Y.Couch.NetworkError) {
+                return this._enqueue('save', this.get('data'), options);
+            }
+            
+            throw err;
+        }, this));
+    },
+    
+    /**
+     * Returns whether writes have to be queued without trying the server,
+     *   which is the case in offline mode while earlier writes are still
+     *   queued, so that writes reach the server in the order they were made
+     * @protected
+     * @method _mustQueue
+     * @returns {Boolean}
+     */
+    _mustQueue : function () {
+        return this.get('offline') && Y.Couch.OfflineStore.getDefault().hasPending();
+    },
+    
+    /**
+     * Queues a save or remove in Y.Couch.OfflineStore and fires couch:queued.
+     *   When earlier writes are queued, a replay is started in case the
+     *   server can be reached again. New documents are given a random id so
+     *   that later writes to them are queued for the same document.
+     * @protected
+     * @method _enqueue
+     * @param action {String} 'save' or 'remove'
+     * @param documentData {Object}
+     * @param options {Object} URL options of the write
+     * @return Y.Promise Resolves with { ok, queued, id }
+     */
+    _enqueue : function (action, documentData, options) {
+        Y.log('_enqueue', 'info', 'Y.Couch.Document');
+        
+        var store = Y.Couch.OfflineStore.getDefault(),
+            pending = store.hasPending(),
+            entry;
+        
+        if (!this.get('id') && !documentData._id) {
+            documentData = Y.merge(documentData, { _id : randomUUID() });
+            this._set('data', documentData);
+        }
+        
+        entry = store.enqueue({
+                action : action,
+                baseURI : this.get('baseURI'),
+                databaseName : this.get('databaseName'),
+                docId : this.get('id') ? decodeURIComponent(this.get('id')) : documentData._id,
+                data : action === 'save' ? documentData : null,
+                rev : action === 'remove' ? options.rev : documentData._rev,
+                options : options,
+                withCredentials : this.get('withCredentials')
+            }, this);
+        
+        this.fire(EVENT_QUEUED, { entry : entry });
+        
+        if (pending) {
+            store.replay();
+        }
+        
+        return Y.Promise.resolve({
+            ok : true,
+            queued : true,
+            id : entry.docId
+        });
+    },
+    
+    /**
+     * Method is called after couch:synced event fires. Stores the revision
+     *   of the replayed write in ATTRS.data, or the document kept when a
+     *   replayed remove conflicted.
+     * @protected
+     * @method _defSyncedFn
+     * @param {Event} e
+     */
+    _defSyncedFn : function (e) {
+        Y.log('_defSyncedFn', 'info', 'Y.Couch.Document');
+        
+        // removes resolved by keeping a document respond with that document
+        if (e.entry.action === 'remove' && e.response._id) {
+            this._set('data', e.response);
+            return;
+        }
+        
+        if (e.entry.action === 'remove') {
+            this._defRemovedFn(e);
+            return;
+        }
+        
+        this._set('data', Y.merge(this.get('data'), {
+            _rev : e.response.rev || e.response._rev
+        }));
+    },
+    
+    /**
+     * Method is called after couch:saved event fires. Stores the saved id
+     *   and revision in ATTRS.data, sets ATTRS.id for new documents and
+     *   replaces uploaded inline attachments with stubs.
      * @protected
      * @method _defSavedFn
      * @param {Event} e
      */
     _defSavedFn : function (e) {
         Y.log('_defSavedFn', 'info', 'Y.Couch.Document');
+        
+        var documentData = Y.merge(this.get('data'), { _id : e.id }),
+            attachments = {};
+        
+        if (e.rev) {
+            documentData._rev = e.rev;
+        }
+        
+        if (!this.get('id') && e.id) {
+            this.set('id', e.id);
+        }
+        
+        if (documentData._attachments) {
+            Y.Object.each(documentData._attachments, function (attachment, name) {
+                attachments[name] = attachment.stub ? attachment : {
+                    'content_type' : attachment.content_type,
+                    stub : true
+                };
+            });
+            
+            documentData._attachments = attachments;
+        }
+        
+        this._set('data', documentData);
+    },
+    
+    /**
+     * Stores the new revision and an attachment stub in ATTRS.data after a
+     *   couch:attachmentSaved event fires
+     * @protected
+     * @method _defAttachmentSavedFn
+     * @param {Event} e
+     */
+    _defAttachmentSavedFn : function (e) {
+        Y.log('_defAttachmentSavedFn', 'info', 'Y.Couch.Document');
+        
+        var documentData = Y.merge(this.get('data'), { _id : e.response.id, _rev : e.response.rev }),
+            attachments = Y.merge(documentData._attachments);
+        
+        attachments[e.name] = {
+            'content_type' : e.contentType,
+            length : e.length,
+            stub : true
+        };
+        
+        documentData._attachments = attachments;
+        this._set('data', documentData);
+    },
+    
+    /**
+     * Stores the new revision and drops the attachment from ATTRS.data after
+     *   a couch:attachmentRemoved event fires
+     * @protected
+     * @method _defAttachmentRemovedFn
+     * @param {Event} e
+     */
+    _defAttachmentRemovedFn : function (e) {
+        Y.log('_defAttachmentRemovedFn', 'info', 'Y.Couch.Document');
+        
+        var documentData = Y.merge(this.get('data'), { _rev : e.response.rev }),
+            attachments = Y.merge(documentData._attachments);
+        
+        delete attachments[e.name];
+        
+        documentData._attachments = attachments;
+        this._set('data', documentData);
+    },
+    
+    /**
+     * Runs the conflict resolver after a couch:conflict event fires. A
+     *   resolver returning the server copy adopts it into ATTRS.data, any
+     *   other document is saved on top of the current server revision, and a
+     *   falsy result leaves the conflict unresolved. Automatic saves are
+     *   limited by ATTRS.conflictRetries.
+     * @protected
+     * @method _defConflictFn
+     * @param {Event} e
+     */
+    _defConflictFn : function (e) {
+        Y.log('_defConflictFn', 'info', 'Y.Couch.Document');
+        
+        var resolver = e.resolver,
+            resolved;
+        
+        if (LANG.isString(resolver)) {
+            resolver = Y.Couch.Document.RESOLVERS[resolver];
+        }
+        
+        if (!LANG.isFunction(resolver)) {
+            return;
+        }
+        
+        resolved = resolver.call(this, e.data, e.server);
+        
+        if (!resolved) {
+            return;
+        }
+        
+        if (resolved === e.server) {
+            this._conflictRetries = 0;
+            this._set('data', e.server);
+            this._conflictResolution = Y.Promise.resolve(e.server);
+            return;
+        }
+        
+        if (this._conflictRetries >= this.get('conflictRetries')) {
+            this._conflictRetries = 0;
+            this._conflictResolution = this._rejectRequest('Unable to resolve the conflict for the document: ' + e.server._id, 'save');
+            return;
+        }
+        
+        this._conflictRetries += 1;
+        this._set('data', Y.merge(resolved, { _rev : e.rev }));
+        this._conflictResolution = this.save(e.options);
     },
     
     /**
-     * Method is called after couch:removed event fires
-     * TODO: work with removed document response
+     * Replaces ATTRS.data with a tombstone of the removed document after a
+     *   couch:deleted event fires
      * @protected
      * @method _defRemovedFn
      * @param {Event} e
      */
     _defRemovedFn : function (e) {
         Y.log('_defRemovedFn', 'info', 'Y.Couch.Document');
+        this._set('data', {
+            _id : e.response.id,
+            _rev : e.response.rev,
+            _deleted : true
+        });
     },
     
     /* SETTERS */
@@ -316,7 +1431,8 @@ Y.namespace('Couch').Document = Y.Base.create('couch-document', Y.Couch.Base, []
     },
     
     /**
-     * Concatenates ATTRS.baseURI, ATTRS.databaseName and val in the local _uri
+     * Encodes val and concatenates ATTRS.baseURI, ATTRS.databaseName and val
+     *   in the local _uri. The slash of _design/ and _local/ ids is kept.
      * @protected
      * @method _idSetter
      * @param {String} val
@@ -324,7 +1440,7 @@ Y.namespace('Couch').Document = Y.Base.create('couch-document', Y.Couch.Base, []
      */
     _idSetter : function (val) {
         Y.log('_idSetter', 'info', 'Y.Couch.Document');
-        val = encodeURIComponent(val);
+        val = encodeId(val);
         this._uri = this.get('baseURI') + '/' + this.get('databaseName') + '/' + val;
         return val;
     }
@@ -380,7 +1496,107 @@ Y.namespace('Couch').Document = Y.Base.create('couch-document', Y.Couch.Base, []
          */
         data : {
             readOnly : true
+        },
+        
+        /**
+         * Revisions stored from the latest getRevisions call, split into
+         *   available, deleted and missing revisions
+         * @attribute revisions
+         * @type Object
+         * @readonly
+         */
+        revisions : {
+            readOnly : true
+        },
+        
+        /**
+         * Conflicting revisions of the document, stored when it was opened
+         *   with the conflicts option
+         * @attribute conflicts
+         * @type Array
+         * @readonly
+         */
+        conflicts : {
+            value : [],
+            readOnly : true
+        },
+        
+        /**
+         * Deleted conflicting revisions of the document, stored when it was
+         *   opened with the deleted_conflicts option
+         * @attribute deletedConflicts
+         * @type Array
+         * @readonly
+         */
+        deletedConflicts : {
+            value : [],
+            readOnly : true
+        },
+        
+        /**
+         * Resolver run when save results in a conflict. Either the name of
+         *   one of Y.Couch.Document.RESOLVERS or a function receiving the
+         *   local and server copies and returning the document to save.
+         * @attribute conflictResolver
+         * @type String|Function
+         */
+        conflictResolver : {
+            value : null
+        },
+        
+        /**
+         * Maximum number of automatic saves made while resolving a conflict
+         * @attribute conflictRetries
+         * @type Number
+         */
+        conflictRetries : {
+            value : 3,
+            validator : LANG.isNumber
+        },
+        
+        /**
+         * How save assigns ids to documents without one. post lets CouchDB
+         *   assign the id, uuids uses a uuid cached by ATTRS.connect, which is
+         *   set for documents created from a Y.Couch.Connect.
+         * @attribute idStrategy
+         * @type String
+         */
+        idStrategy : {
+            value : 'post',
+            validator : function (val) {
+                return val === 'post' || val === 'uuids';
+            }
         }
     }
 });
 
+/**
+ * Conflict resolvers available to ATTRS.conflictResolver by name
+ * @static
+ * @property RESOLVERS
+ */
+Y.Couch.Document.RESOLVERS = {
+    
+    /**
+     * Keeps the local copy and saves it on top of the server revision
+     * @method lastWriteWins
+     * @param local {Object}
+     * @param server {Object}
+     * @return {Object}
+     */
+    lastWriteWins : function (local, server) {
+        return local;
+    },
+    
+    /**
+     * Discards the local copy in favour of the server copy
+     * @method serverWins
+     * @param local {Object}
+     * @param server {Object}
+     * @return {Object}
+     */
+    serverWins : function (local, server) {
+        return server;
+    }
+};
+
@@ -0,0 +1,212 @@
+/**
+ * Errors rejected by Y.Couch promises and carried by couch:error events. The
+ *   error holds the HTTP status, CouchDB's error and reason fields, and the
+ *   method, url and operation of the failed request. Errors for the common
+ *   CouchDB failures are created as subtypes so they can be told apart with
+ *   instanceof, or with the type property.
+ * @module couch
+ * @submodule couch-error
+ * @class Y.Couch.Error
+ * @extends Error
+ * @author Anthony Pipkin
+ */
+
+/**
+ * CouchDB error names of the HTTP statuses with a subtype
+ * @private
+ * @property STATUS_TYPES
+ */
+var STATUS_TYPES = {
+        0 : 'network_error',
+        400 : 'bad_request',
+        401 : 'unauthorized',
+        403 : 'forbidden',
+        404 : 'not_found',
+        409 : 'conflict'
+    };
+
+/**
+ * @constructor
+ * @param config {Object}
+ *   <dl>
+ *     <dt>message</dt><dd>Readable description of the failure</dd>
+ *     <dt>status</dt><dd>HTTP status, 0 when no response was received</dd>
+ *     <dt>error</dt><dd>CouchDB error name, such as not_found</dd>
+ *     <dt>reason</dt><dd>CouchDB reason</dd>
+ *     <dt>method</dt><dd>HTTP method of the request</dd>
+ *     <dt>url</dt><dd>URI of the request</dd>
+ *     <dt>operation</dt><dd>Name of the Y.Couch method which failed</dd>
+ *     <dt>response</dt><dd>Response text</dd>
+ *   </dl>
+ */
+function CouchError(config) {
+    var stack;
+    
+    config = config || {};
+    
+    this.message = config.message || config.reason || config.error || 'Unknown error';
+    this.status = config.status || 0;
+    this.error = config.error || null;
+    this.reason = config.reason || null;
+    this.method = config.method || null;
+    this.url = config.url || null;
+    this.operation = config.operation || null;
+    this.response = config.response || null;
+    this.type = config.type || this.error;
+    
+    stack = new Error(this.message).stack;
+    
+    if (stack) {
+        this.stack = stack;
+    }
+}
+
+Y.extend(CouchError, Error, {
+    
+    /**
+     * @property name
+     * @type String
+     */
+    name : 'Y.Couch.Error',
+    
+    /**
+     * Returns the name and message of the error
+     * @public
+     * @method toString
+     * @returns {String}
+     */
+    toString : function () {
+        return this.name + ': ' + this.message;
+    }
+});
+
+Y.namespace('Couch').Error = CouchError;
+
+/**
+ * Subtypes keyed by CouchDB error name
+ * @static
+ * @property TYPES
+ * @type Object
+ */
+CouchError.TYPES = {};
+
+/**
+ * Creates a subtype of Y.Couch.Error for a CouchDB error name and registers
+ *   it in Y.Couch.Error.TYPES
+ * @private
+ * @method subtype
+ * @param name {String} Class name in the Y.Couch namespace
+ * @param type {String} CouchDB error name
+ * @returns {Function}
+ */
+function subtype(name, type) {
+    function Subtype(config) {
+        Subtype.superclass.constructor.call(this, config);
+    }
+    
+    Y.extend(Subtype, CouchError, {
+        name : 'Y.Couch.' + name
+    });
+    
+    CouchError.TYPES[type] = Subtype;
+    
+    return Subtype;
+}
+
+/**
+ * The request was malformed, such as invalid JSON or query parameters
+ * @class Y.Couch.BadRequestError
+ * @extends Y.Couch.Error
+ */
+Y.Couch.BadRequestError = subtype('BadRequestError', 'bad_request');
+
+/**
+ * The request needs credentials, or the credentials were rejected
+ * @class Y.Couch.UnauthorizedError
+ * @extends Y.Couch.Error
+ */
+Y.Couch.UnauthorizedError = subtype('UnauthorizedError', 'unauthorized');
+
+/**
+ * The user is not allowed to perform the request
+ * @class Y.Couch.ForbiddenError
+ * @extends Y.Couch.Error
+ */
+Y.Couch.ForbiddenError = subtype('ForbiddenError', 'forbidden');
+
+/**
+ * The database, document or attachment does not exist
+ * @class Y.Couch.NotFoundError
+ * @extends Y.Couch.Error
+ */
+Y.Couch.NotFoundError = subtype('NotFoundError', 'not_found');
+
+/**
+ * The document was changed since the revision the request was based on
+ * @class Y.Couch.ConflictError
+ * @extends Y.Couch.Error
+ */
+Y.Couch.ConflictError = subtype('ConflictError', 'conflict');
+
+/**
+ * The server could not be reached
+ * @class Y.Couch.NetworkError
+ * @extends Y.Couch.Error
+ */
+Y.Couch.NetworkError = subtype('NetworkError', 'network_error');
+
+/**
+ * Creates an error of the subtype matching config.error, or config.status
+ *   when CouchDB's error name has no subtype
+ * @static
+ * @method create
+ * @param config {Object} See the constructor
+ * @returns Y.Couch.Error
+ */
+CouchError.create = function (config) {
+    var type = config.error && CouchError.TYPES[config.error] ? config.error : null,
+        Type;
+    
+    if (!type && config.status !== undefined) {
+        type = STATUS_TYPES[config.status] || null;
+    }
+    
+    Type = (type && CouchError.TYPES[type]) || CouchError;
+    
+    return new Type(Y.merge(config, { type : type || config.error }));
+};
+
+/**
+ * Creates an error from the response of a failed request, reading the
+ *   CouchDB error and reason from the response body. Aborted requests are
+ *   created with the error abort.
+ * @static
+ * @method fromResponse
+ * @param io {Object} Response of the failed request
+ * @param config {Object} message, method, url and operation of the request
+ * @returns Y.Couch.Error
+ */
+CouchError.fromResponse = function (io, config) {
+    var body = null;
+    
+    io = io || {};
+    
+    try {
+        body = Y.JSON.parse(io.responseText);
+    } catch (ex) {
+        body = null;
+    }
+    
+    body = Y.Lang.isObject(body) ? body : {};
+    
+    if (!io.status && io.statusText === 'abort') {
+        return new CouchError(Y.merge(config, { error : 'abort' }));
+    }
+    
+    return CouchError.create(Y.merge(config, {
+        status : io.status || 0,
+        error : body.error,
+        reason : body.reason,
+        response : io.responseText
+    }));
+};
@@ -0,0 +1,137 @@
+/**
+ * Creates a connection to a list function of a CouchDB design document. List
+ *   functions format the rows of a view, such as CSV exports, and take the
+ *   query ATTRS of Y.Couch.View.
+ * @module couch
+ * @submodule couch-list
+ * @class Y.Couch.List
+ * @extends Y.Couch.View
+ * @author Anthony Pipkin
+ */
+
+/**
+ * ATTRS of Y.Couch.List which are not sent as view query parameters. The
+ *   ATTRS of Y.Couch.View are left out by Y.Couch.View#_getRequestData.
+ * @private
+ * @property NON_QUERY_ATTRS
+ */
+var NON_QUERY_ATTRS = ['view', 'query'];
+
+Y.namespace('Couch').List = Y.Base.create('couch-list', Y.Couch.View, [], {
+    
+    /**
+     * Sends the list request. Responses with a JSON Content-Type are parsed,
+     *   others such as CSV or HTML are returned as text.
+     * @protected
+     * @method _queryView
+     * @param requestData {Object} View query parameters
+     * @param config {Object} Request configuration for _sendRequest
+     * @return Y.Promise
+     */
+    _queryView : function (requestData, config) {
+        return Y.Couch.List.superclass._queryView.call(this, requestData, Y.merge(config, {
+            raw : 'auto',
+            message : 'An error occurred running the list function ' + this.get('name')
+        }));
+    },
+    
+    /**
+     * Returns the view query parameters stored in ATTRS along with
+     *   ATTRS.query
+     * @protected
+     * @method _getRequestData
+     * @returns {Object}
+     */
+    _getRequestData : function () {
+        var requestData = Y.Couch.List.superclass._getRequestData.apply(this, arguments);
+        
+        Y.Array.each(NON_QUERY_ATTRS, function (key) {
+            delete requestData[key];
+        });
+        
+        return Y.merge(requestData, this.get('query'));
+    },
+    
+    /**
+     * Builds the local _uri from ATTRS.baseURI, ATTRS.name and ATTRS.view
+     * @protected
+     * @method _setURI
+     * @param baseURI {String}
+     * @param name {String}
+     * @param view {String}
+     */
+    _setURI : function (baseURI, name, view) {
+        this._uri = baseURI + '/_list/' + name + '/' + view;
+    },
+    
+    /**
+     * Concatenates val, ATTRS.name and ATTRS.view in the local _uri
+     * @protected
+     * @method _baseURISetter
+     * @param {String} val
+     * @returns {String} value to be stored in ATTRS.baseURI
+     */
+    _baseURISetter : function (val) {
+        Y.log('_baseURISetter', 'info', 'Y.Couch.List');
+        
+        this._setURI(val, this.get('name'), this.get('view'));
+        
+        return val;
+    },
+    
+    /**
+     * Concatenates ATTRS.baseURI, val and ATTRS.view in the local _uri
+     * @protected
+     * @method _nameSetter
+     * @param val {String}
+     * @returns {String} value to be stored in ATTRS.name
+     */
+    _nameSetter : function (val) {
+        Y.log('_nameSetter', 'info', 'Y.Couch.List');
+        
+        this._setURI(this.get('baseURI'), val, this.get('view'));
+        
+        return val;
+    },
+    
+    /**
+     * Concatenates ATTRS.baseURI, ATTRS.name and val in the local _uri
+     * @protected
+     * @method _viewSetter
+     * @param val {String}
+     * @returns {String} value to be stored in ATTRS.view
+     */
+    _viewSetter : function (val) {
+        Y.log('_viewSetter', 'info', 'Y.Couch.List');
+        
+        this._setURI(this.get('baseURI'), this.get('name'), val);
+        
+        return val;
+    }
+    
+}, {
+    ATTRS : {
+        
+        /**
+         * Name of the view the list function formats. Views of other design
+         *   documents are named as designName/viewName.
+         * @attribute view
+         * @type String
+         * @see Y.Couch.List#_viewSetter
+         */
+        view : {
+            value : '',
+            setter : '_viewSetter'
+        },
+        
+        /**
+         * Extra query parameters passed to the list function, such as a
+         *   format
+         * @attribute query
+         * @type Object
+         */
+        query : {
+            value : null
+        }
+    }
+});
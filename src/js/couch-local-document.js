@@ -0,0 +1,118 @@
+/**
+ * Creates a connection to a CouchDB local document, stored under _local/ and
+ *   never replicated, such as checkpoints and sync cursors of a device. Local
+ *   documents are opened, saved and removed like other documents, but have no
+ *   revision history, conflicts or attachments.
+ * @module couch
+ * @submodule couch-local-document
+ * @class Y.Couch.LocalDocument
+ * @extends Y.Couch.Document
+ * @author Anthony Pipkin
+ */
+
+var LOCAL_PREFIX = '_local/';
+
+Y.namespace('Couch').LocalDocument = Y.Base.create('couch-local-document', Y.Couch.Document, [], {
+    
+    /**
+     * Saves the local document. Local documents are not created without an
+     *   id, so ATTRS.id must be set.
+     * @public
+     * @method save
+     * @param options {Object} URL options for saving the document
+     * @return Y.Promise
+     * @see Y.Couch.Document#save
+     */
+    save : function (options) {
+        Y.log('save', 'info', 'Y.Couch.LocalDocument');
+        
+        if (!this.get('id')) {
+            return this._rejectRequest('A local document needs an id.', 'save');
+        }
+        
+        return Y.Couch.LocalDocument.superclass.save.apply(this, arguments);
+    },
+    
+    /**
+     * Local documents keep no revision history
+     * @public
+     * @method getRevisions
+     * @return Y.Promise Rejected
+     */
+    getRevisions : function () {
+        return this._rejectUnsupported('getRevisions');
+    },
+    
+    /**
+     * Local documents keep no revision history
+     * @public
+     * @method openRevision
+     * @return Y.Promise Rejected
+     */
+    openRevision : function () {
+        return this._rejectUnsupported('openRevision');
+    },
+    
+    /**
+     * Local documents keep no revision history
+     * @public
+     * @method openRevs
+     * @return Y.Promise Rejected
+     */
+    openRevs : function () {
+        return this._rejectUnsupported('openRevs');
+    },
+    
+    /**
+     * Local documents keep no revision history
+     * @public
+     * @method revertTo
+     * @return Y.Promise Rejected
+     */
+    revertTo : function () {
+        return this._rejectUnsupported('revertTo');
+    },
+    
+    /**
+     * Local documents are not replicated, so they have no conflicts
+     * @public
+     * @method resolveConflicts
+     * @return Y.Promise Rejected
+     */
+    resolveConflicts : function () {
+        return this._rejectUnsupported('resolveConflicts');
+    },
+    
+    /**
+     * Fires couch:error and returns a rejected promise for a method local
+     *   documents do not support
+     * @protected
+     * @method _rejectUnsupported
+     * @param operation {String} Name of the calling method
+     * @return Y.Promise
+     */
+    _rejectUnsupported : function (operation) {
+        return this._rejectRequest(operation + ' is not supported by local documents.', operation);
+    },
+    
+    /**
+     * Prefixes val with _local/ and encodes the name only, keeping the slash
+     *   of the prefix. Concatenates ATTRS.baseURI, ATTRS.databaseName and the
+     *   id in the local _uri.
+     * @protected
+     * @method _idSetter
+     * @param {String} val
+     * @returns {String} value to be stored in ATTRS.id
+     */
+    _idSetter : function (val) {
+        Y.log('_idSetter', 'info', 'Y.Couch.LocalDocument');
+        
+        if (val) {
+            val = LOCAL_PREFIX + encodeURIComponent(val.replace(/^_local\//, ''));
+        }
+        
+        this._uri = this.get('baseURI') + '/' + this.get('databaseName') + '/' + val;
+        return val;
+    }
+    
+});
@@ -0,0 +1,934 @@
+/**
+ * A Y.Couch.DataSource which answers requests from databases kept in memory
+ *   instead of a CouchDB server, for tests and demos. Set it as ATTRS.dataSource
+ *   of a Y.Couch object and it is shared with the objects created from it.
+ *   Emulates the server root, _all_dbs, _uuids, database info, creation and
+ *   deletion, _security, _all_docs, _local_docs, _bulk_docs, document POST,
+ *   GET, PUT and DELETE with revisions and conflicts, and views with map
+ *   functions and _count, _sum or JavaScript reduce functions. Responses are
+ *   asynchronous, like the ones of a server.
+ * @module couch
+ * @submodule couch-memory-datasource
+ * @class Y.Couch.MemoryDataSource
+ * @extends Y.Couch.DataSource
+ * @author Anthony Pipkin
+ */
+
+var LANG = Y.Lang,
+    IS_ARRAY = LANG.isArray,
+    IS_NUMBER = LANG.isNumber,
+    IS_STRING = LANG.isString,
+    
+    /**
+     * Query parameters which are JSON encoded
+     * @private
+     * @property JSON_PARAMS
+     */
+    JSON_PARAMS = ['key', 'keys', 'startkey', 'endkey', 'start_key', 'end_key', 'open_revs'],
+    
+    /**
+     * Status texts of the statuses the data source responds with
+     * @private
+     * @property STATUS_TEXTS
+     */
+    STATUS_TEXTS = {
+        200 : 'OK',
+        201 : 'Created',
+        400 : 'Bad Request',
+        404 : 'Object Not Found',
+        405 : 'Method Not Allowed',
+        409 : 'Conflict',
+        412 : 'Precondition Failed'
+    };
+
+/**
+ * Returns the rank of the type of a key in the CouchDB collation order
+ * @private
+ * @method typeRank
+ * @param val {Any}
+ * @returns {Number}
+ */
+function typeRank(val) {
+    if (val === null || val === undefined) {
+        return 0;
+    }
+    
+    if (val === false) {
+        return 1;
+    }
+    
+    if (val === true) {
+        return 2;
+    }
+    
+    if (IS_NUMBER(val)) {
+        return 3;
+    }
+    
+    if (IS_STRING(val)) {
+        return 4;
+    }
+    
+    return IS_ARRAY(val) ? 5 : 6;
+}
+
+/**
+ * Compares two keys in the CouchDB collation order
+ * @private
+ * @method collate
+ * @param a {Any}
+ * @param b {Any}
+ * @returns {Number} Negative when a sorts first, positive when b does
+ */
+function collate(a, b) {
+    var rank = typeRank(a),
+        diff = rank - typeRank(b),
+        i,
+        len;
+    
+    if (diff !== 0 || rank < 3) {
+        return diff;
+    }
+    
+    if (rank === 3) {
+        return a - b;
+    }
+    
+    if (rank === 4) {
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+    
+    if (rank === 6) {
+        a = Y.Array.map(Y.Object.keys(a).sort(), function (key) {
+            return [key, a[key]];
+        });
+        b = Y.Array.map(Y.Object.keys(b).sort(), function (key) {
+            return [key, b[key]];
+        });
+    }
+    
+    for (i = 0, len = Math.min(a.length, b.length); i < len; i += 1) {
+        diff = collate(a[i], b[i]);
+        
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    
+    return a.length - b.length;
+}
+
+/**
+ * Returns a short, stable hexadecimal hash of a string
+ * @private
+ * @method hash
+ * @param str {String}
+ * @returns {String}
+ */
+function hash(str) {
+    var h1 = 5381,
+        h2 = 52711,
+        i,
+        code;
+    
+    for (i = 0; i < str.length; i += 1) {
+        code = str.charCodeAt(i);
+        h1 = ((h1 * 33) ^ code) >>> 0;
+        h2 = ((h2 * 31) ^ code) >>> 0;
+    }
+    
+    return ('0000000' + h1.toString(16)).slice(-8) + ('0000000' + h2.toString(16)).slice(-8);
+}
+
+Y.namespace('Couch').MemoryDataSource = Y.Base.create('couch-memory-datasource', Y.Couch.DataSource, [], {
+    
+    /**
+     * Databases keyed by name. Each holds its documents keyed by id and its
+     *   update sequence.
+     * @protected
+     * @property _databases
+     */
+    _databases : null,
+    
+    /**
+     * Number of uuids handed out by _uuids
+     * @protected
+     * @property _uuidCount
+     */
+    _uuidCount : 0,
+    
+    /**
+     * Creates the databases listed in ATTRS.databases
+     * @public
+     * @method initializer
+     * @param config {Object}
+     */
+    initializer : function (config) {
+        this.reset();
+    },
+    
+    /**
+     * Drops every database and creates the ones listed in ATTRS.databases
+     * @public
+     * @method reset
+     * @chainable
+     */
+    reset : function () {
+        Y.log('reset', 'info', 'Y.Couch.MemoryDataSource');
+        
+        this._databases = {};
+        this._uuidCount = 0;
+        
+        Y.Array.each(this.get('databases') || [], function (name) {
+            this._databases[name] = { docs : {}, seq : 0 };
+        }, this);
+        
+        return this;
+    },
+    
+    /**
+     * Stands in for Y.io. Answers the request from memory after
+     *   ATTRS.latency milliseconds with the success or failure callback of
+     *   cfg.
+     * @protected
+     * @method _io
+     * @param uri {String}
+     * @param cfg {Object} Y.io configuration
+     * @returns {Object} transaction with an abort method
+     */
+    _io : function (uri, cfg) {
+        var method = (cfg.method || 'GET').toUpperCase(),
+            data = cfg.data,
+            transaction = { id : Y.guid('couch-memory-') },
+            timer;
+        
+        // like Y.io, objects are serialized and sent in the url of GET requests
+        if (LANG.isObject(data)) {
+            data = Y.QueryString.stringify(data);
+        }
+        
+        if (data && (method === 'GET' || method === 'HEAD' || method === 'DELETE')) {
+            uri += (uri.indexOf('?') > -1 ? '&' : '?') + data;
+            data = null;
+        }
+        
+        timer = Y.later(this.get('latency'), this, function () {
+            var result = this._route(method, uri, data),
+                status = result[0],
+                responseText = Y.JSON.stringify(result[1]),
+                response = {
+                    status : status,
+                    statusText : STATUS_TEXTS[status] || '',
+                    responseText : responseText,
+                    getResponseHeader : function (name) {
+                        return name.toLowerCase() === 'content-type' ? 'application/json' : null;
+                    },
+                    getAllResponseHeaders : function () {
+                        return 'Content-Type: application/json';
+                    }
+                };
+            
+            timer = null;
+            cfg.on[status < 400 ? 'success' : 'failure'].call(cfg.context, transaction.id, response, cfg['arguments']);
+        });
+        
+        transaction.abort = function () {
+            if (timer) {
+                timer.cancel();
+                timer = null;
+                cfg.on.failure.call(cfg.context, transaction.id, {
+                    status : 0,
+                    statusText : 'abort',
+                    responseText : ''
+                }, cfg['arguments']);
+            }
+        };
+        
+        transaction.isInProgress = function () {
+            return !!timer;
+        };
+        
+        return transaction;
+    },
+    
+    /**
+     * Finds the endpoint of a request and returns its response
+     * @protected
+     * @method _route
+     * @param method {String} HTTP method
+     * @param uri {String}
+     * @param data {String} Request body
+     * @returns {Array} status and response body
+     */
+    _route : function (method, uri, data) {
+        var parts = uri.replace(/^[a-z]+:\/\/[^\/]*/i, '').substr(this.get('root').length).split('?'),
+            segments = Y.Array.map(Y.Array.filter(parts[0].split('/'), function (segment) {
+                return segment !== '';
+            }), decodeURIComponent),
+            params = this._parseParams(parts.slice(1).join('?')),
+            body = null,
+            dbName = segments[0],
+            db,
+            id;
+        
+        if (data) {
+            try {
+                body = Y.JSON.parse(data);
+            } catch (ex) {
+                return this._error(400, 'bad_request', 'invalid UTF-8 JSON');
+            }
+        }
+        
+        if (!dbName) {
+            return method === 'GET' ? [200, {
+                couchdb : 'Welcome',
+                version : 'memory',
+                vendor : { name : 'Y.Couch.MemoryDataSource' }
+            }] : this._error(405, 'method_not_allowed', 'Only GET allowed');
+        }
+        
+        if (dbName === '_all_dbs') {
+            return [200, Y.Object.keys(this._databases).sort()];
+        }
+        
+        if (dbName === '_uuids') {
+            return [200, { uuids : this._uuids(params.count || 1) }];
+        }
+        
+        if (segments.length === 1) {
+            return this._databaseRequest(method, dbName, body);
+        }
+        
+        db = this._databases[dbName];
+        
+        if (!db) {
+            return this._error(404, 'not_found', 'Database does not exist.');
+        }
+        
+        // design and local document ids contain a slash
+        if ((segments[1] === '_design' || segments[1] === '_local') && segments.length > 2) {
+            segments.splice(1, 2, segments[1] + '/' + segments[2]);
+        }
+        
+        id = segments[1];
+        
+        if (id === '_all_docs' || id === '_local_docs') {
+            return this._allDocs(db, Y.merge(params, body), id === '_local_docs');
+        }
+        
+        if (id === '_bulk_docs' && method === 'POST') {
+            return this._bulkDocs(db, body);
+        }
+        
+        if (id === '_security' && segments.length === 2) {
+            return this._security(method, db, body);
+        }
+        
+        if (segments[2] === '_view' && segments[3]) {
+            return this._queryView(db, id, segments[3], Y.merge(params, body));
+        }
+        
+        if (segments.length > 2 || (id.charAt(0) === '_' && !/^_(design|local)\//.test(id))) {
+            return this._error(404, 'not_found', 'missing');
+        }
+        
+        return this._documentRequest(method, db, id, params, body);
+    },
+    
+    /**
+     * Answers requests to the root of a database
+     * @protected
+     * @method _databaseRequest
+     * @param method {String}
+     * @param name {String}
+     * @param body {Object} Document posted to the database
+     * @returns {Array}
+     */
+    _databaseRequest : function (method, name, body) {
+        var db = this._databases[name],
+            count = 0,
+            deleted = 0,
+            result;
+        
+        if (method === 'PUT') {
+            if (db) {
+                return this._error(412, 'file_exists', 'The database could not be created, the file already exists.');
+            }
+            
+            this._databases[name] = { docs : {}, seq : 0 };
+            return [201, { ok : true }];
+        }
+        
+        if (!db) {
+            return this._error(404, 'not_found', 'Database does not exist.');
+        }
+        
+        if (method === 'DELETE') {
+            delete this._databases[name];
+            return [200, { ok : true }];
+        }
+        
+        if (method === 'POST') {
+            body = body || {};
+            result = this._putDocument(db, body._id || this._uuids(1)[0], body);
+            return result.error ? [result.status, { error : result.error, reason : result.reason }] : [201, result];
+        }
+        
+        Y.Object.each(db.docs, function (stored, id) {
+            if (id.indexOf('_local/') === 0) {
+                return;
+            }
+            
+            if (stored.deleted) {
+                deleted += 1;
+            } else {
+                count += 1;
+            }
+        });
+        
+        return [200, {
+            'db_name' : name,
+            'doc_count' : count,
+            'doc_del_count' : deleted,
+            'update_seq' : db.seq
+        }];
+    },
+    
+    /**
+     * Answers GET, PUT and DELETE requests to a document
+     * @protected
+     * @method _documentRequest
+     * @param method {String}
+     * @param db {Object}
+     * @param id {String}
+     * @param params {Object}
+     * @param body {Object}
+     * @returns {Array}
+     */
+    _documentRequest : function (method, db, id, params, body) {
+        var stored = db.docs[id],
+            result,
+            doc;
+        
+        if (method === 'PUT') {
+            result = this._putDocument(db, id, body || {}, params.rev);
+            return result.error ? [result.status, { error : result.error, reason : result.reason }] : [201, result];
+        }
+        
+        if (method === 'DELETE') {
+            result = this._putDocument(db, id, { _deleted : true }, params.rev);
+            return result.error ? [result.status, { error : result.error, reason : result.reason }] : [200, result];
+        }
+        
+        if (method !== 'GET') {
+            return this._error(405, 'method_not_allowed', 'Only GET, PUT and DELETE allowed');
+        }
+        
+        if (stored && params['open_revs']) {
+            return [200, this._openRevs(stored, params['open_revs'])];
+        }
+        
+        if (!stored || (stored.deleted && !params.rev)) {
+            return this._error(404, 'not_found', stored ? 'deleted' : 'missing');
+        }
+        
+        doc = stored.revisions[params.rev || stored.rev];
+        
+        if (!doc) {
+            return this._error(404, 'not_found', 'missing');
+        }
+        
+        if (params['revs_info']) {
+            doc = Y.merge(doc, {
+                '_revs_info' : Y.Array.map(stored.history, function (rev) {
+                    var revision = stored.revisions[rev];
+                    
+                    return {
+                        rev : rev,
+                        status : !revision ? 'missing' : (revision._deleted ? 'deleted' : 'available')
+                    };
+                })
+            });
+        }
+        
+        return [200, doc];
+    },
+    
+    /**
+     * Returns the open_revs response for all leaf revisions or a list of
+     *   revisions of a document
+     * @protected
+     * @method _openRevs
+     * @param stored {Object}
+     * @param revs {Array|String} Revisions, or all
+     * @returns {Array}
+     */
+    _openRevs : function (stored, revs) {
+        return Y.Array.map(revs === 'all' ? [stored.rev] : revs, function (rev) {
+            return stored.revisions[rev] ? { ok : stored.revisions[rev] } : { missing : rev };
+        });
+    },
+    
+    /**
+     * Writes a document revision. The revision of the write is taken from
+     *   doc._rev or rev and must be the current revision of the document.
+     * @protected
+     * @method _putDocument
+     * @param db {Object}
+     * @param id {String}
+     * @param doc {Object}
+     * @param rev {String} <optional>
+     * @returns {Object} ok, id and rev, or status, error and reason
+     */
+    _putDocument : function (db, id, doc, rev) {
+        var stored = db.docs[id],
+            current = stored && !stored.deleted ? stored.rev : null,
+            generation = stored ? parseInt(stored.rev, 10) : 0,
+            newRev;
+        
+        rev = doc._rev || rev || null;
+        
+        if (!id) {
+            return { status : 400, error : 'bad_request', reason : 'Document id must not be empty' };
+        }
+        
+        if (rev !== current && !(stored && stored.deleted && rev === stored.rev)) {
+            return { status : 409, error : 'conflict', reason : 'Document update conflict.' };
+        }
+        
+        if (doc._deleted && !current) {
+            return { status : 404, error : 'not_found', reason : 'missing' };
+        }
+        
+        doc = Y.merge(doc, { _id : id });
+        delete doc._rev;
+        
+        newRev = (generation + 1) + '-' + hash(id + (stored ? stored.rev : '') + Y.JSON.stringify(doc));
+        doc._rev = newRev;
+        
+        if (!stored) {
+            stored = db.docs[id] = { revisions : {}, history : [] };
+        }
+        
+        stored.rev = newRev;
+        stored.deleted = !!doc._deleted;
+        stored.revisions[newRev] = doc._deleted ? { _id : id, _rev : newRev, _deleted : true } : doc;
+        stored.history.unshift(newRev);
+        
+        db.seq += 1;
+        
+        return { ok : true, id : id, rev : newRev };
+    },
+    
+    /**
+     * Answers _bulk_docs requests
+     * @protected
+     * @method _bulkDocs
+     * @param db {Object}
+     * @param body {Object}
+     * @returns {Array}
+     */
+    _bulkDocs : function (db, body) {
+        var results = Y.Array.map((body && body.docs) || [], function (doc) {
+            var id = doc._id || this._uuids(1)[0],
+                result = this._putDocument(db, id, doc);
+            
+            return result.error ? { id : id, error : result.error, reason : result.reason } : result;
+        }, this);
+        
+        return [201, results];
+    },
+    
+    /**
+     * Answers _security requests
+     * @protected
+     * @method _security
+     * @param method {String}
+     * @param db {Object}
+     * @param body {Object}
+     * @returns {Array}
+     */
+    _security : function (method, db, body) {
+        if (method === 'PUT') {
+            db.security = body || {};
+            return [200, { ok : true }];
+        }
+        
+        return method === 'GET' ? [200, db.security || {}] :
+            this._error(405, 'method_not_allowed', 'Only GET and PUT allowed');
+    },
+    
+    /**
+     * Answers _all_docs requests, and _local_docs requests when local is set
+     * @protected
+     * @method _allDocs
+     * @param db {Object}
+     * @param params {Object}
+     * @param local {Boolean} <optional> List the local documents instead
+     * @returns {Array}
+     */
+    _allDocs : function (db, params, local) {
+        var rows = [];
+        
+        Y.Object.each(db.docs, function (stored, id) {
+            if (!stored.deleted && (id.indexOf('_local/') === 0) === !!local) {
+                rows.push({ id : id, key : id, value : { rev : stored.rev } });
+            }
+        });
+        
+        if (params.keys) {
+            rows = Y.Array.map(params.keys, function (key) {
+                var stored = db.docs[key];
+                
+                if (!stored) {
+                    return { key : key, error : 'not_found' };
+                }
+                
+                return {
+                    id : key,
+                    key : key,
+                    value : stored.deleted ? { rev : stored.rev, deleted : true } : { rev : stored.rev }
+                };
+            });
+        }
+        
+        return [200, this._selectRows(db, rows, params)];
+    },
+    
+    /**
+     * Answers view requests by running the map function of the view over the
+     *   documents, and the reduce function unless params.reduce is false
+     * @protected
+     * @method _queryView
+     * @param db {Object}
+     * @param ddocId {String} Id of the design document
+     * @param name {String} Name of the view
+     * @param params {Object}
+     * @returns {Array}
+     */
+    _queryView : function (db, ddocId, name, params) {
+        var stored = db.docs[ddocId],
+            view = stored && !stored.deleted && stored.revisions[stored.rev].views,
+            rows = [],
+            current = null,
+            map;
+        
+        view = view && view[name];
+        
+        if (!view || !view.map) {
+            return this._error(404, 'not_found', 'missing_named_view');
+        }
+        
+        try {
+            map = this._compile(view.map, function (key, value) {
+                rows.push({
+                    id : current._id,
+                    key : key === undefined ? null : key,
+                    value : value === undefined ? null : value
+                });
+            });
+        } catch (ex) {
+            return this._error(400, 'compilation_error', ex.message);
+        }
+        
+        Y.Object.each(db.docs, function (doc, id) {
+            if (doc.deleted || id.indexOf('_design/') === 0 || id.indexOf('_local/') === 0) {
+                return;
+            }
+            
+            current = doc.revisions[doc.rev];
+            
+            try {
+                map(Y.JSON.parse(Y.JSON.stringify(current)));
+            } catch (ex) {
+                Y.log('The map function of ' + name + ' failed for ' + id + ': ' + ex.message, 'warn', 'Y.Couch.MemoryDataSource');
+            }
+        });
+        
+        if (params.keys) {
+            rows = Y.Array.filter(rows, function (row) {
+                return Y.Array.some(params.keys, function (key) {
+                    return collate(row.key, key) === 0;
+                });
+            });
+        }
+        
+        if (view.reduce && params.reduce !== false) {
+            return this._reduceRows(rows, view.reduce, params);
+        }
+        
+        return [200, this._selectRows(db, rows, params)];
+    },
+    
+    /**
+     * Returns the map or reduce function stored as source in a design
+     *   document. emit is passed to map functions.
+     * @protected
+     * @method _compile
+     * @param source {String|Function}
+     * @param emit {Function} <optional>
+     * @returns {Function}
+     */
+    _compile : function (source, emit) {
+        if (LANG.isFunction(source)) {
+            source = source.toString();
+        }
+        
+        return new Function('emit', 'sum', 'return (' + source + ');')(emit, function (values) {
+            var total = 0;
+            
+            Y.Array.each(values, function (val) {
+                total += val;
+            });
+            
+            return total;
+        });
+    },
+    
+    /**
+     * Sorts and filters rows by the range, key, descending, skip and limit
+     *   parameters and adds documents when include_docs is set
+     * @protected
+     * @method _selectRows
+     * @param db {Object}
+     * @param rows {Array}
+     * @param params {Object}
+     * @returns {Object} view response with total_rows, offset and rows
+     */
+    _selectRows : function (db, rows, params) {
+        var descending = params.descending === true,
+            direction = descending ? -1 : 1,
+            startkey = params.startkey !== undefined ? params.startkey : params['start_key'],
+            endkey = params.endkey !== undefined ? params.endkey : params['end_key'],
+            total = rows.length,
+            offset = 0,
+            skip = params.skip || 0,
+            selected = [];
+        
+        if (!params.keys) {
+            rows = rows.slice().sort(function (a, b) {
+                return direction * (collate(a.key, b.key) || collate(a.id, b.id));
+            });
+        }
+        
+        Y.Array.each(rows, function (row) {
+            var diff;
+            
+            if (params.key !== undefined && collate(row.key, params.key) !== 0) {
+                return;
+            }
+            
+            if (startkey !== undefined) {
+                diff = direction * collate(row.key, startkey);
+                
+                if (diff < 0 || (diff === 0 && params['startkey_docid'] !== undefined &&
+                        direction * collate(row.id, params['startkey_docid']) < 0)) {
+                    offset += 1;
+                    return;
+                }
+            }
+            
+            if (endkey !== undefined) {
+                diff = direction * collate(row.key, endkey);
+                
+                if (diff > 0 || (diff === 0 && params['inclusive_end'] === false)) {
+                    return;
+                }
+            }
+            
+            selected.push(row);
+        });
+        
+        selected = selected.slice(skip, IS_NUMBER(params.limit) ? skip + params.limit : undefined);
+        
+        if (params['include_docs'] === true) {
+            selected = Y.Array.map(selected, function (row) {
+                var stored = row.id && db.docs[row.id];
+                
+                return row.error ? row : Y.merge(row, {
+                    doc : stored && !stored.deleted ? stored.revisions[stored.rev] : null
+                });
+            });
+        }
+        
+        return {
+            'total_rows' : total,
+            offset : offset + skip,
+            rows : selected
+        };
+    },
+    
+    /**
+     * Reduces view rows, grouped by key when params.group is set and by the
+     *   first params.group_level items of array keys
+     * @protected
+     * @method _reduceRows
+     * @param rows {Array}
+     * @param reduce {String|Function} _count, _sum or a reduce function
+     * @param params {Object}
+     * @returns {Array}
+     */
+    _reduceRows : function (rows, reduce, params) {
+        var level = params['group_level'],
+            groups = [],
+            fn;
+        
+        if (reduce === '_count') {
+            fn = function (keys, values) {
+                return values.length;
+            };
+        } else if (reduce === '_sum') {
+            fn = function (keys, values) {
+                var total = 0;
+                
+                Y.Array.each(values, function (val) {
+                    total += val;
+                });
+                
+                return total;
+            };
+        } else {
+            try {
+                fn = this._compile(reduce);
+            } catch (ex) {
+                return this._error(400, 'compilation_error', ex.message);
+            }
+        }
+        
+        rows = rows.slice().sort(function (a, b) {
+            return collate(a.key, b.key);
+        });
+        
+        Y.Array.each(rows, function (row) {
+            var key = null,
+                last = groups[groups.length - 1];
+            
+            if (IS_NUMBER(level)) {
+                key = IS_ARRAY(row.key) ? row.key.slice(0, level) : row.key;
+            } else if (params.group === true) {
+                key = row.key;
+            }
+            
+            if (!last || collate(last.key, key) !== 0) {
+                last = { key : key, keys : [], values : [] };
+                groups.push(last);
+            }
+            
+            last.keys.push([row.key, row.id]);
+            last.values.push(row.value);
+        });
+        
+        return [200, {
+            rows : Y.Array.map(groups, function (group) {
+                return {
+                    key : group.key,
+                    value : fn(group.keys, group.values, false)
+                };
+            })
+        }];
+    },
+    
+    /**
+     * Returns new uuids
+     * @protected
+     * @method _uuids
+     * @param count {Number}
+     * @returns {Array}
+     */
+    _uuids : function (count) {
+        var uuids = [],
+            i;
+        
+        for (i = 0; i < count; i += 1) {
+            this._uuidCount += 1;
+            uuids.push(hash('uuid' + this._uuidCount) + ('0000000000000000' + this._uuidCount.toString(16)).slice(-16));
+        }
+        
+        return uuids;
+    },
+    
+    /**
+     * Parses a query string, decoding JSON encoded keys, booleans and numbers
+     * @protected
+     * @method _parseParams
+     * @param query {String}
+     * @returns {Object}
+     */
+    _parseParams : function (query) {
+        var params = query ? Y.QueryString.parse(query) : {};
+        
+        Y.Object.each(params, function (val, key) {
+            if (Y.Array.indexOf(JSON_PARAMS, key) > -1) {
+                try {
+                    params[key] = Y.JSON.parse(val);
+                } catch (ex) {
+                    params[key] = val;
+                }
+            } else if (val === 'true' || val === 'false') {
+                params[key] = val === 'true';
+            } else if (/^\d+$/.test(val) && key !== 'rev') {
+                params[key] = parseInt(val, 10);
+            }
+        });
+        
+        return params;
+    },
+    
+    /**
+     * Returns an error response
+     * @protected
+     * @method _error
+     * @param status {Number}
+     * @param error {String}
+     * @param reason {String}
+     * @returns {Array}
+     */
+    _error : function (status, error, reason) {
+        return [status, { error : error, reason : reason }];
+    }
+    
+}, {
+    ATTRS : {
+        
+        /**
+         * Replaces Y.io with the in memory server
+         * @attribute io
+         * @type Function
+         */
+        io : {
+            valueFn : function () {
+                return Y.bind(this._io, this);
+            }
+        },
+        
+        /**
+         * Names of the databases which exist from the start and after reset
+         * @attribute databases
+         * @type Array
+         */
+        databases : {
+            value : []
+        },
+        
+        /**
+         * Path of the server root, such as /couchdb when the server is
+         *   reached through a proxy. Removed from request urls before routing.
+         * @attribute root
+         * @type String
+         */
+        root : {
+            value : '',
+            validator : IS_STRING
+        },
+        
+        /**
+         * Milliseconds before a response is delivered
+         * @attribute latency
+         * @type Number
+         */
+        latency : {
+            value : 0,
+            validator : IS_NUMBER
+        }
+    }
+});
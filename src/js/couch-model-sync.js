@@ -0,0 +1,405 @@
+/**
+ * An extension which lets a Y.Model or Y.ModelList subclass read, create,
+ *   update and delete through CouchDB. Models are stored as documents, with
+ *   the model's idAttribute mapped to _id and _rev tracked as an attribute.
+ *   Model lists load from a Y.Couch.View or from _all_docs.
+ * @module couch
+ * @submodule couch-model-sync
+ * @class Y.ModelSync.Couch
+ * @extensionfor Y.Model
+ * @extensionfor Y.ModelList
+ * @author Anthony Pipkin
+ */
+
+var LANG = Y.Lang,
+    IS_OBJECT = LANG.isObject;
+
+function CouchSync() {}
+
+CouchSync.prototype = {
+    
+    /**
+     * URI for CouchDB connection. Model lists default to the baseURI of
+     *   their model.
+     * @public
+     * @property baseURI
+     * @type String
+     */
+    baseURI : '',
+    
+    /**
+     * CouchDB database name. Model lists default to the databaseName of their
+     *   model.
+     * @public
+     * @property databaseName
+     * @type String
+     */
+    databaseName : '',
+    
+    /**
+     * View used to load a model list. When not set, model lists load from
+     *   _all_docs with include_docs.
+     * @public
+     * @property view
+     * @type Y.Couch.View
+     */
+    view : null,
+    
+    /**
+     * HTTP basic credentials, as an object with name and password. Model
+     *   lists default to the credentials of their model.
+     * @public
+     * @property credentials
+     * @type Object
+     */
+    credentials : null,
+    
+    /**
+     * Sends cookies, such as the CouchDB session cookie, with cross origin
+     *   requests. Model lists default to the setting of their model.
+     * @public
+     * @property withCredentials
+     * @type Boolean
+     */
+    withCredentials : false,
+    
+    /**
+     * Data source used for every request, such as a
+     *   Y.Couch.MemoryDataSource in tests. Model lists default to the data
+     *   source of their model.
+     * @public
+     * @property dataSource
+     * @type Y.Couch.DataSource
+     */
+    dataSource : null,
+    
+    /**
+     * Document the model syncs through, created on the first sync
+     * @protected
+     * @property _couchDocument
+     * @type Y.Couch.Document
+     */
+    _couchDocument : null,
+    
+    /**
+     * Database a model list loads _all_docs from, created on the first load
+     * @protected
+     * @property _couchDB
+     * @type Y.Couch.DB
+     */
+    _couchDB : null,
+    
+    /**
+     * Overrides baseURI, databaseName, view, credentials, withCredentials and
+     *   dataSource at the instance level
+     * @public
+     * @method initializer
+     * @param config {Object}
+     */
+    initializer : function (config) {
+        config = config || {};
+        
+        Y.Array.each(['baseURI', 'databaseName', 'view', 'credentials', 'withCredentials', 'dataSource'], function (key) {
+            if (key in config) {
+                this[key] = config[key];
+            }
+        }, this);
+    },
+    
+    /**
+     * Destroys the document or database created for syncing
+     * @public
+     * @method destructor
+     */
+    destructor : function () {
+        if (this._couchDocument) {
+            this._couchDocument.destroy();
+            this._couchDocument = null;
+        }
+        
+        if (this._couchDB) {
+            this._couchDB.destroy();
+            this._couchDB = null;
+        }
+    },
+    
+    /**
+     * Performs the sync action through Y.Couch.Document for models and
+     *   Y.Couch.View or Y.Couch.DB for model lists. Called by load, save and
+     *   destroy.
+     * @public
+     * @method sync
+     * @param action {String} 'create', 'read', 'update' or 'delete'
+     * @param options {Object} Sync options. options.view overrides the view
+     *   a model list loads from and options.rev overrides the revision a
+     *   model is deleted at.
+     * @param callback {Function} Called with a Y.Couch.Error or null and the
+     *   CouchDB response
+     */
+    sync : function (action, options, callback) {
+        Y.log('sync', 'info', 'Y.ModelSync.Couch');
+        
+        var doc;
+        
+        options = options || {};
+        
+        if (this._isYUIModelList) {
+            this._syncList(action, options, callback);
+            return;
+        }
+        
+        switch (action) {
+        case 'read':
+            doc = this._getCouchDocument(this.get(this.idAttribute));
+            this._couchRequest(doc, 'open', [], callback);
+            break;
+        
+        case 'create':
+        case 'update':
+            doc = this._getCouchDocument(this.get(this.idAttribute));
+            doc._set('data', this.serialize(action));
+            this._couchRequest(doc, 'save', [], callback);
+            break;
+        
+        case 'delete':
+            doc = this._getCouchDocument(this.get(this.idAttribute));
+            this._couchRequest(doc, 'remove', [{ rev : options.rev || this.get('_rev') }], callback);
+            break;
+        
+        default:
+            callback(Y.Couch.Error.create({
+                message : 'Invalid action: ' + action,
+                operation : 'sync'
+            }));
+        }
+    },
+    
+    /**
+     * Converts the model into a CouchDB document, mapping the idAttribute to
+     *   _id
+     * @public
+     * @method serialize
+     * @param action {String}
+     * @returns {Object}
+     */
+    serialize : function (action) {
+        var data = this.toJSON(),
+            idAttribute = this.idAttribute;
+        
+        if (data[idAttribute] !== undefined && data[idAttribute] !== null) {
+            data._id = data[idAttribute];
+        }
+        
+        if (idAttribute !== '_id') {
+            delete data[idAttribute];
+        }
+        
+        delete data.id;
+        
+        if (!data._rev) {
+            delete data._rev;
+        }
+        
+        return data;
+    },
+    
+    /**
+     * Converts a CouchDB response into model attributes. Model lists accept
+     *   view or _all_docs results and use the included document of each row
+     *   when available.
+     * @public
+     * @method parse
+     * @param response {Object|String}
+     * @returns {Object|Array}
+     */
+    parse : function (response) {
+        var idAttribute;
+        
+        if (LANG.isString(response)) {
+            response = Y.JSON.parse(response);
+        }
+        
+        if (this._isYUIModelList) {
+            idAttribute = this.model.prototype.idAttribute;
+            
+            return Y.Array.map(response.rows || response || [], function (row) {
+                return CouchSync.toAttrs(CouchSync.rowToDocument(row), idAttribute);
+            });
+        }
+        
+        if (response.ok && response.id) {
+            response = {
+                _id : response.id,
+                _rev : response.rev
+            };
+        }
+        
+        return CouchSync.toAttrs(response, this.idAttribute);
+    },
+    
+    /**
+     * Loads a model list from the view or from _all_docs
+     * @protected
+     * @method _syncList
+     * @param action {String}
+     * @param options {Object}
+     * @param callback {Function}
+     */
+    _syncList : function (action, options, callback) {
+        var view = options.view || this.view;
+        
+        if (action !== 'read') {
+            callback(Y.Couch.Error.create({
+                message : 'Model lists only support the read action.',
+                operation : 'sync'
+            }));
+            return;
+        }
+        
+        if (view) {
+            this._couchRequest(view, 'fetchData', [], callback);
+            return;
+        }
+        
+        this._couchRequest(this._getCouchDB(), 'fetchAllDocuments', [{ 'include_docs' : true }], callback);
+    },
+    
+    /**
+     * Returns the Y.Couch.DB of a model list, creating it on the first call.
+     *   The same database is used for every load and destroyed along with
+     *   the list.
+     * @protected
+     * @method _getCouchDB
+     * @returns Y.Couch.DB
+     */
+    _getCouchDB : function () {
+        var proto = this.model.prototype,
+            dataSource = this.dataSource || proto.dataSource,
+            config;
+        
+        if (!this._couchDB) {
+            config = {
+                baseURI : this.baseURI || proto.baseURI,
+                name : this.databaseName || proto.databaseName,
+                credentials : this.credentials || proto.credentials,
+                withCredentials : this.withCredentials || proto.withCredentials
+            };
+            
+            if (dataSource) {
+                config.dataSource = dataSource;
+            }
+            
+            this._couchDB = new Y.Couch.DB(config);
+        }
+        
+        return this._couchDB;
+    },
+    
+    /**
+     * Returns the Y.Couch.Document of the model, creating it on the first
+     *   call. The same document is used for every sync and destroyed along
+     *   with the model.
+     * @protected
+     * @method _getCouchDocument
+     * @param id {String} <optional> Document id
+     * @returns Y.Couch.Document
+     */
+    _getCouchDocument : function (id) {
+        var hasId = id !== undefined && id !== null,
+            config;
+        
+        if (!this._couchDocument) {
+            config = {
+                baseURI : this.baseURI,
+                databaseName : this.databaseName,
+                credentials : this.credentials,
+                withCredentials : this.withCredentials
+            };
+            
+            if (hasId) {
+                config.id = id;
+            }
+            
+            if (this.dataSource) {
+                config.dataSource = this.dataSource;
+            }
+            
+            this._couchDocument = new Y.Couch.Document(config);
+        } else if (hasId) {
+            this._couchDocument.set('id', id);
+        }
+        
+        return this._couchDocument;
+    },
+    
+    /**
+     * Calls method on a Y.Couch object and routes the outcome of the promise
+     *   it returns to the callback. Failures are passed as the Y.Couch.Error
+     *   the promise rejected with, so callers can check the status or type.
+     *   Conflicts fail unless the document has a conflict resolver which
+     *   resolves them.
+     * @protected
+     * @method _couchRequest
+     * @param target {Y.Couch.Base}
+     * @param method {String}
+     * @param args {Array}
+     * @param callback {Function}
+     */
+    _couchRequest : function (target, method, args, callback) {
+        target[method].apply(target, args).then(function (response) {
+            if (callback) {
+                callback(null, response);
+            }
+        }, function (err) {
+            if (callback) {
+                callback(err);
+            }
+        });
+    }
+};
+
+/**
+ * Returns the document for a view or _all_docs row. Rows without an included
+ *   document are built from their value.
+ * @static
+ * @method rowToDocument
+ * @param row {Object}
+ * @returns {Object}
+ */
+CouchSync.rowToDocument = function (row) {
+    if (row.doc) {
+        return row.doc;
+    }
+    
+    if (IS_OBJECT(row.value) && !LANG.isArray(row.value)) {
+        return Y.merge({ _id : row.id }, row.value);
+    }
+    
+    return {
+        _id : row.id,
+        key : row.key,
+        value : row.value
+    };
+};
+
+/**
+ * Converts a CouchDB document into model attributes, mapping _id to the
+ *   idAttribute
+ * @static
+ * @method toAttrs
+ * @param doc {Object}
+ * @param idAttribute {String}
+ * @returns {Object}
+ */
+CouchSync.toAttrs = function (doc, idAttribute) {
+    var attrs = Y.merge(doc);
+    
+    if (idAttribute !== '_id' && '_id' in attrs) {
+        attrs[idAttribute] = attrs._id;
+        delete attrs._id;
+    }
+    
+    return attrs;
+};
+
+Y.namespace('ModelSync').Couch = CouchSync;
@@ -0,0 +1,527 @@
+/**
+ * Persists writes made while the server cannot be reached and replays them in
+ *   order once it can, and caches the last copy of read responses. Entries
+ *   and cached responses are kept in localStorage, or in memory when it is not
+ *   available.
+ * @module couch
+ * @submodule couch-offline-store
+ * @class Y.Couch.OfflineStore
+ * @extends Y.Base
+ * @author Anthony Pipkin
+ */
+
+var /**
+     * Prefix of the storage keys of cached responses
+     * @private
+     * @property CACHE_PREFIX
+     */
+    CACHE_PREFIX = 'cache:',
+    
+    EVENT_ERROR = 'couch:error',
+    EVENT_QUEUED = 'couch:queued',
+    EVENT_SYNCED = 'couch:synced',
+    
+    /**
+     * Shared instance returned by Y.Couch.OfflineStore.getDefault
+     * @private
+     * @property defaultStore
+     */
+    defaultStore = null;
+
+/**
+ * Returns a storage object with the localStorage interface kept in memory
+ * @private
+ * @method memoryStorage
+ * @returns {Object}
+ */
+function memoryStorage() {
+    var items = {};
+    
+    return {
+        getItem : function (key) {
+            return items.hasOwnProperty(key) ? items[key] : null;
+        },
+        setItem : function (key, val) {
+            items[key] = String(val);
+        },
+        removeItem : function (key) {
+            delete items[key];
+        }
+    };
+}
+
+Y.namespace('Couch').OfflineStore = Y.Base.create('couch-offline-store', Y.Base, [], {
+    
+    /**
+     * Fired when a write is added to the queue. The entry is stored in the
+     *   entry property of the event.
+     * @event couch:queued
+     */
+    
+    /**
+     * Fired when replay finishes. Carries the replayed entries with their
+     *   responses and the number of entries left in the queue.
+     * @event couch:synced
+     */
+    
+    /**
+     * Objects which queued an entry, keyed by entry id, notified when their
+     *   entry is replayed
+     * @protected
+     * @property _owners
+     */
+    _owners : null,
+    
+    /**
+     * Promise of the running replay
+     * @protected
+     * @property _replaying
+     */
+    _replaying : null,
+    
+    /**
+     * Listener of the window online event
+     * @protected
+     * @property _onlineHandler
+     */
+    _onlineHandler : null,
+    
+    /**
+     * Sets up the owners and replays the queue when the browser comes back
+     *   online
+     * @public
+     * @method initializer
+     * @param config {Object}
+     */
+    initializer : function (config) {
+        var win = Y.config.win;
+        
+        this._owners = {};
+        
+        if (win && win.addEventListener) {
+            this._onlineHandler = Y.bind(this.replay, this);
+            win.addEventListener('online', this._onlineHandler, false);
+        }
+    },
+    
+    /**
+     * Stops listening for the browser coming back online
+     * @public
+     * @method destructor
+     */
+    destructor : function () {
+        var win = Y.config.win;
+        
+        if (this._onlineHandler) {
+            win.removeEventListener('online', this._onlineHandler, false);
+        }
+    },
+    
+    /**
+     * Adds a write to the end of the queue and fires couch:queued
+     * @public
+     * @method enqueue
+     * @param entry {Object} The write, with action ('save' or 'remove'),
+     *   baseURI, databaseName, docId, data, rev and options
+     * @param owner {Y.Couch.Document} <optional> Document notified with
+     *   couch:synced when the entry is replayed
+     * @returns {Object} The stored entry
+     */
+    enqueue : function (entry, owner) {
+        Y.log('enqueue', 'info', 'Y.Couch.OfflineStore');
+        
+        var queue = this.getQueue();
+        
+        entry = Y.merge(entry, {
+            id : Y.guid('couch-queue-'),
+            queuedAt : new Date().getTime()
+        });
+        
+        queue.push(entry);
+        this._saveQueue(queue);
+        
+        if (owner) {
+            this._owners[entry.id] = owner;
+        }
+        
+        this.fire(EVENT_QUEUED, { entry : entry });
+        
+        return entry;
+    },
+    
+    /**
+     * Returns the queued writes in the order they were made
+     * @public
+     * @method getQueue
+     * @returns {Array}
+     */
+    getQueue : function () {
+        var stored = this.get('storage').getItem(this.get('storageKey'));
+        
+        return stored ? Y.JSON.parse(stored) : [];
+    },
+    
+    /**
+     * Returns whether there are writes waiting to be replayed
+     * @public
+     * @method hasPending
+     * @returns {Boolean}
+     */
+    hasPending : function () {
+        return this.getQueue().length > 0;
+    },
+    
+    /**
+     * Removes all queued writes
+     * @public
+     * @method clear
+     * @chainable
+     */
+    clear : function () {
+        this._saveQueue([]);
+        this._owners = {};
+        
+        return this;
+    },
+    
+    /**
+     * Replays the queued writes in order. A document written more than once
+     *   is replayed with the revision returned by its previous write, and
+     *   conflicts of saves and removes with changes made on the server are
+     *   handled by ATTRS.conflictResolver. Replay stops at the first network error and
+     *   continues from that entry next time. Entries rejected by the server
+     *   for other reasons are dropped and fire couch:error. Fires couch:synced
+     *   when done.
+     * @public
+     * @method replay
+     * @return Y.Promise Resolves with the replayed entries
+     */
+    replay : function () {
+        Y.log('replay', 'info', 'Y.Couch.OfflineStore');
+        
+        var synced = [],
+            revs = {},
+            docs = {},
+            next;
+        
+        // the running replay may have stopped before connectivity returned
+        if (this._replaying) {
+            return this._replaying.then(Y.bind(this.replay, this));
+        }
+        
+        next = Y.bind(function () {
+            var entry = this.getQueue()[0];
+            
+            if (!entry) {
+                return synced;
+            }
+            
+            return this._replayEntry(entry, revs, docs).then(Y.bind(function (response) {
+                var owner = this._owners[entry.id];
+                
+                revs[this._getEntryKey(entry)] = response.rev || response._rev;
+                synced.push({ entry : entry, response : response });
+                this._removeEntry(entry);
+                
+                if (owner && !owner.get('destroyed')) {
+                    owner.fire(EVENT_SYNCED, { entry : entry, response : response });
+                }
+                
+                return next();
+            }, this), Y.bind(function (err) {
+                if (err instanceof Y.Couch.NetworkError) {
+                    return synced;
+                }
+                
+                this._removeEntry(entry);
+                this.fire(EVENT_ERROR, {
+                    message : 'Dropped the queued ' + entry.action + ' of ' + entry.docId + ': ' + err.message,
+                    error : err
+                });
+                
+                return next();
+            }, this));
+        }, this);
+        
+        this._replaying = Y.Promise.resolve(null).then(next).then(Y.bind(function (entries) {
+            Y.Object.each(docs, function (doc) {
+                doc.destroy();
+            });
+            
+            this._replaying = null;
+            this.fire(EVENT_SYNCED, {
+                entries : entries,
+                remaining : this.getQueue().length
+            });
+            
+            return entries;
+        }, this));
+        
+        return this._replaying;
+    },
+    
+    /**
+     * Stores a copy of a read response
+     * @public
+     * @method cache
+     * @param key {String}
+     * @param response {Object}
+     * @chainable
+     */
+    cache : function (key, response) {
+        try {
+            this.get('storage').setItem(this.get('storageKey') + CACHE_PREFIX + key, Y.JSON.stringify(response));
+        } catch (ex) {
+            Y.log('Unable to cache ' + key + ': ' + ex.message, 'warn', 'Y.Couch.OfflineStore');
+        }
+        
+        return this;
+    },
+    
+    /**
+     * Returns the cached copy of a read response, or null
+     * @public
+     * @method getCached
+     * @param key {String}
+     * @returns {Object}
+     */
+    getCached : function (key) {
+        var stored = this.get('storage').getItem(this.get('storageKey') + CACHE_PREFIX + key);
+        
+        return stored ? Y.JSON.parse(stored) : null;
+    },
+    
+    /**
+     * Sends a queued write through the Y.Couch.Document of its document in
+     *   this replay, creating it for the first write. Removes which conflict
+     *   open the server copy and follow ATTRS.conflictResolver.
+     * @protected
+     * @method _replayEntry
+     * @param entry {Object}
+     * @param revs {Object} Revisions returned by earlier writes in this replay
+     * @param docs {Object} Documents created in this replay, keyed like revs
+     * @return Y.Promise
+     */
+    _replayEntry : function (entry, revs, docs) {
+        var key = this._getEntryKey(entry),
+            rev = revs[key],
+            options = Y.merge(entry.options),
+            doc = docs[key];
+        
+        if (!doc) {
+            doc = docs[key] = this._createDocument(entry);
+        }
+        
+        if (entry.action === 'remove') {
+            delete options.rev;
+            
+            return doc.remove(Y.merge(options, { rev : rev || entry.rev })).then(null, Y.bind(function (err) {
+                if (!(err instanceof Y.Couch.ConflictError)) {
+                    throw err;
+                }
+                
+                return doc.open().then(Y.bind(function (server) {
+                    return this._resolveRemoveConflict(doc, entry, server, options, err);
+                }, this));
+            }, this));
+        }
+        
+        doc._set('data', rev ? Y.merge(entry.data, { _rev : rev }) : entry.data);
+        
+        return doc.save(entry.options);
+    },
+    
+    /**
+     * Runs ATTRS.conflictResolver on a remove which conflicts with a change
+     *   made on the server. The local copy is a tombstone of the queued
+     *   document. Resolving with the server copy keeps it, resolving with a
+     *   deleted document removes the server revision, any other document is
+     *   saved on top of the server revision, and a falsy result leaves the
+     *   conflict unresolved. A kept or saved document is resolved in place of
+     *   the remove response.
+     * @protected
+     * @method _resolveRemoveConflict
+     * @param doc {Y.Couch.Document}
+     * @param entry {Object}
+     * @param server {Object} Current server copy of the document
+     * @param options {Object} URL options of the remove
+     * @param err {Y.Couch.ConflictError} Error of the conflicting remove
+     * @return Y.Promise
+     */
+    _resolveRemoveConflict : function (doc, entry, server, options, err) {
+        var resolver = this.get('conflictResolver'),
+            resolved = null;
+        
+        if (Y.Lang.isString(resolver)) {
+            resolver = Y.Couch.Document.RESOLVERS[resolver];
+        }
+        
+        if (Y.Lang.isFunction(resolver)) {
+            resolved = resolver.call(doc, Y.merge(entry.data, { _id : server._id, _deleted : true }), server);
+        }
+        
+        if (!resolved) {
+            return Y.Promise.reject(err);
+        }
+        
+        if (resolved === server) {
+            return Y.Promise.resolve(server);
+        }
+        
+        if (resolved._deleted) {
+            return doc.remove(Y.merge(options, { rev : server._rev }));
+        }
+        
+        doc._set('data', Y.merge(resolved, { _rev : server._rev }));
+        
+        return doc.save(entry.options).then(function () {
+            return doc.get('data');
+        });
+    },
+    
+    /**
+     * Returns a Y.Couch.Document for the document of an entry, using the
+     *   credentials, data source and data source configuration of the
+     *   document which queued it when it is still around
+     * @protected
+     * @method _createDocument
+     * @param entry {Object}
+     * @returns Y.Couch.Document
+     */
+    _createDocument : function (entry) {
+        var owner = this._owners[entry.id],
+            config = {
+                baseURI : entry.baseURI,
+                databaseName : entry.databaseName,
+                id : entry.docId,
+                credentials : (owner && owner.get('credentials')) || this.get('credentials'),
+                withCredentials : entry.withCredentials,
+                dataSourceConfig : owner ? owner.get('dataSourceConfig') : null,
+                conflictResolver : this.get('conflictResolver')
+            };
+        
+        if (owner && owner._sharedDataSource) {
+            config.dataSource = owner.get('dataSource');
+        }
+        
+        return new Y.Couch.Document(config);
+    },
+    
+    /**
+     * Removes an entry from the queue
+     * @protected
+     * @method _removeEntry
+     * @param entry {Object}
+     */
+    _removeEntry : function (entry) {
+        var queue = [];
+        
+        Y.Array.each(this.getQueue(), function (item) {
+            if (item.id !== entry.id) {
+                queue.push(item);
+            }
+        });
+        
+        this._saveQueue(queue);
+        delete this._owners[entry.id];
+    },
+    
+    /**
+     * Returns the key identifying the document of an entry
+     * @protected
+     * @method _getEntryKey
+     * @param entry {Object}
+     * @returns {String}
+     */
+    _getEntryKey : function (entry) {
+        return entry.baseURI + '/' + entry.databaseName + '/' + entry.docId;
+    },
+    
+    /**
+     * Writes the queue to storage
+     * @protected
+     * @method _saveQueue
+     * @param queue {Array}
+     */
+    _saveQueue : function (queue) {
+        this.get('storage').setItem(this.get('storageKey'), Y.JSON.stringify(queue));
+    },
+    
+    /**
+     * Returns localStorage when available, otherwise storage kept in memory
+     * @protected
+     * @method _storageValueFn
+     * @returns {Object}
+     */
+    _storageValueFn : function () {
+        var win = Y.config.win;
+        
+        try {
+            if (win && win.localStorage) {
+                return win.localStorage;
+            }
+        } catch (ex) {
+            Y.log('localStorage is not available: ' + ex.message, 'warn', 'Y.Couch.OfflineStore');
+        }
+        
+        return memoryStorage();
+    }
+    
+}, {
+    ATTRS : {
+        
+        /**
+         * Storage with the localStorage interface
+         * @attribute storage
+         * @type Object
+         */
+        storage : {
+            valueFn : '_storageValueFn'
+        },
+        
+        /**
+         * Key of the queue in storage, also used as the prefix of cached
+         *   responses
+         * @attribute storageKey
+         * @type String
+         */
+        storageKey : {
+            value : 'yui-couch-queue'
+        },
+        
+        /**
+         * Resolver applied when a replayed save or remove conflicts with a
+         *   change made on the server
+         * @attribute conflictResolver
+         * @type String|Function
+         * @see Y.Couch.Document#conflictResolver
+         */
+        conflictResolver : {
+            value : 'lastWriteWins'
+        },
+        
+        /**
+         * HTTP basic credentials used to replay entries whose document is no
+         *   longer around. Credentials are never written to storage.
+         * @attribute credentials
+         * @type Object
+         */
+        credentials : {
+            value : null
+        }
+    }
+});
+
+/**
+ * Returns the store shared by every Y.Couch object in offline mode
+ * @static
+ * @method getDefault
+ * @returns Y.Couch.OfflineStore
+ */
+Y.Couch.OfflineStore.getDefault = function () {
+    if (!defaultStore) {
+        defaultStore = new Y.Couch.OfflineStore();
+    }
+    
+    return defaultStore;
+};
@@ -0,0 +1,271 @@
+/**
+ * Runs a Mango query against a CouchDB database through _find.
+ *
+ * @module couch
+ * @submodule couch-query
+ * @class Y.Couch.Query
+ * @extends Y.Couch.Base
+ * @author Anthony Pipkin
+ */
+
+var LANG = Y.Lang,
+    IS_ARRAY = LANG.isArray,
+    IS_NUMBER = LANG.isNumber,
+    IS_OBJECT = LANG.isObject,
+    
+    EVENT_ERROR = 'couch:error',
+    EVENT_DATA = 'couch:data';
+
+
+Y.namespace('Couch').Query = Y.Base.create('couch-query', Y.Couch.Base, [], {
+    
+    /**
+     * Fired when a datasource fails. Logs an error message by default.
+     * @event couch:error
+     */
+    
+    /**
+     * Fired when the datasource in fetchData fires successful. By default, will
+     *   store the returned value into ATTRS.data and the bookmark for the next
+     *   page into ATTRS.bookmark
+     * @event couch:data
+     */
+    
+    /**
+     * The uri to _find. Built by setting ATTRS.baseURI and
+     *   ATTRS.databaseName
+     * @protected
+     * @property _uri
+     */
+    _uri : '',
+    
+    /**
+     * Publish events
+     * @public
+     * @method initializer
+     * @param config {Object} sets ATTRS
+     */
+    initializer : function (config) {
+        this.publish(EVENT_DATA, { defaultFn: this._defDataFn });
+    },
+    
+    /**
+     * Initializes a request to get the documents matching ATTRS.selector. The
+     *   bookmark is sent when one is provided so the next page of results is
+     *   returned. Fires couch:data on success and couch:error if there is an
+     *   error.
+     * @public
+     * @method fetchData
+     * @param bookmark {String} <optional> Bookmark of the page to fetch
+     * @return Y.Promise
+     */
+    fetchData : function (bookmark) {
+        Y.log('fetchData', 'info', 'Y.Couch.Query');
+        
+        var requestData = {
+            selector : this.get('selector')
+        };
+        
+        Y.Array.each(['fields', 'sort', 'limit', 'skip', 'use_index'], function (key) {
+            var val = this.get(key);
+            
+            if (val !== null && val !== undefined) {
+                requestData[key] = val;
+            }
+        }, this);
+        
+        // the bookmark already accounts for skipped documents
+        if (bookmark) {
+            requestData.bookmark = bookmark;
+            delete requestData.skip;
+        }
+        
+        return this._sendRequest({
+            url : this._uri,
+            method : 'POST',
+            data : Y.JSON.stringify(requestData),
+            idempotent : true,
+            cache : true,
+            event : EVENT_DATA,
+            operation : 'fetchData',
+            message : 'An error occurred running the query'
+        });
+    },
+    
+    /**
+     * Fetches the page of results following the last fetched page
+     * @public
+     * @method nextPage
+     * @return Y.Promise
+     */
+    nextPage : function () {
+        Y.log('nextPage', 'info', 'Y.Couch.Query');
+        
+        if (!this.get('hasNext')) {
+            return this._rejectRequest('There are no more results for this query.', 'nextPage');
+        }
+        
+        return this.fetchData(this.get('bookmark'));
+    },
+    
+    /**
+     * Stores query data in ATTRS.data and the bookmark in ATTRS.bookmark after
+     *   a couch:data event fires. ATTRS.hasNext is true while a full page of
+     *   documents is returned.
+     * @protected
+     * @method _defDataFn
+     * @param {Event} e
+     */
+    _defDataFn : function (e) {
+        Y.log('_defDataFn', 'info', 'Y.Couch.Query');
+        
+        var limit = this.get('limit'),
+            docs = e.response.docs || [];
+        
+        this._set('data', e.response);
+        this._set('bookmark', e.response.bookmark || null);
+        this._set('hasNext', !!e.response.bookmark && docs.length > 0 && (!IS_NUMBER(limit) || docs.length >= limit));
+        
+        if (e.response.warning) {
+            Y.log(e.response.warning, 'warn', 'Y.Couch.Query');
+        }
+    },
+    
+    /**
+     * Concatenates val and ATTRS.databaseName in the local _uri
+     * @protected
+     * @method _baseURISetter
+     * @param {String} val
+     * @returns {String} value to be stored in ATTRS.baseURI
+     */
+    _baseURISetter : function (val) {
+        Y.log('_baseURISetter', 'info', 'Y.Couch.Query');
+        this._uri = val + '/' + this.get('databaseName') + '/_find';
+        return val;
+    },
+    
+    /**
+     * Concatenates ATTRS.baseURI and val in the local _uri
+     * @protected
+     * @method _databaseNameSetter
+     * @param {String} val
+     * @returns {String} value to be stored in ATTRS.databaseName
+     */
+    _databaseNameSetter : function (val) {
+        Y.log('_databaseNameSetter', 'info', 'Y.Couch.Query');
+        this._uri = this.get('baseURI') + '/' + val + '/_find';
+        return val;
+    }
+    
+}, {
+    ATTRS : {
+        
+        /**
+         * URI for CouchDB connection
+         * @attribute baseURI
+         * @type String
+         * @see Y.Couch.Query#_baseURISetter
+         */
+        baseURI : {
+            value : '',
+            setter : '_baseURISetter'
+        },
+        
+        /**
+         * CouchDB database name
+         * @attribute databaseName
+         * @type String
+         * @see Y.Couch.Query#_databaseNameSetter
+         */
+        databaseName : {
+            value : '',
+            setter : '_databaseNameSetter'
+        },
+        
+        /**
+         * Mango selector the documents must match
+         * @attribute selector
+         * @type Object
+         */
+        selector : {
+            value : {},
+            validator : IS_OBJECT
+        },
+        
+        /**
+         * Fields to return for each document
+         * @attribute fields
+         * @type Array
+         */
+        fields : {
+            validator : IS_ARRAY
+        },
+        
+        /**
+         * Sort specification, an array of field names or {field : 'asc'}
+         *   objects
+         * @attribute sort
+         * @type Array
+         */
+        sort : {
+            validator : IS_ARRAY
+        },
+        
+        /**
+         * Maximum number of documents per page
+         * @attribute limit
+         * @type Number
+         */
+        limit : {
+            validator : IS_NUMBER
+        },
+        
+        /**
+         * The number of documents to skip
+         * @attribute skip
+         * @type Number
+         */
+        skip : {
+            validator : IS_NUMBER
+        },
+        
+        /**
+         * Design document, or [designdoc, indexname], of the index to use
+         * @attribute use_index
+         * @type String|Array
+         */
+        'use_index' : {},
+        
+        /**
+         * Storage of most recent successful data request
+         * @attribute data
+         * @type Object
+         * @readonly
+         */
+        data : {
+            readOnly : true
+        },
+        
+        /**
+         * Bookmark returned with the most recent page
+         * @attribute bookmark
+         * @type String
+         * @readonly
+         */
+        bookmark : {
+            value : null,
+            readOnly : true
+        },
+        
+        /**
+         * Whether another page of results may be available
+         * @attribute hasNext
+         * @type Boolean
+         * @readonly
+         */
+        hasNext : {
+            value : false,
+            readOnly : true
+        }
+    }
+});
@@ -0,0 +1,400 @@
+/**
+ * Manages a persistent replication stored as a document in the _replicator
+ *   database. The replication runs while the document exists and its status
+ *   is read from _scheduler/jobs, or _active_tasks on servers without the
+ *   scheduler.
+ * @module couch
+ * @submodule couch-replication
+ * @class Y.Couch.Replication
+ * @extends Y.Couch.Document
+ * @author Anthony Pipkin
+ */
+
+var LANG = Y.Lang,
+    IS_STRING = LANG.isString,
+    IS_OBJECT = LANG.isObject,
+    
+    /**
+     * Replication options stored in the replication document
+     * @private
+     * @property REPLICATION_FIELDS
+     */
+    REPLICATION_FIELDS = ['source', 'target', 'continuous', 'create_target', 'filter', 'query_params', 'doc_ids'],
+    
+    EVENT_STATUS = 'couch:replicationStatus';
+
+Y.namespace('Couch').Replication = Y.Base.create('couch-replication', Y.Couch.Document, [], {
+    
+    /**
+     * Fired when the datasource in fetchStatus fires successful. Carries the
+     *   scheduler job or active task of the replication, or null when it is
+     *   not running. By default, will store the status into ATTRS.status
+     * @event couch:replicationStatus
+     */
+    
+    /**
+     * Timer of the next status request while polling
+     * @protected
+     * @property _timer
+     */
+    _timer : null,
+    
+    /**
+     * Publishes events
+     * @public
+     * @method initializer
+     * @param {Object} config
+     */
+    initializer : function (config) {
+        this.publish(EVENT_STATUS, { defaultFn: this._defStatusFn });
+    },
+    
+    /**
+     * Stops polling the status
+     * @public
+     * @method destructor
+     */
+    destructor : function () {
+        this.stopPolling();
+    },
+    
+    /**
+     * Saves the replication document with the replication options stored in
+     *   ATTRS, which starts the replication. Fires couch:saved on success and
+     *   couch:error on failure.
+     * @public
+     * @method start
+     * @return Y.Promise
+     */
+    start : function () {
+        Y.log('start', 'info', 'Y.Couch.Replication');
+        
+        var data = Y.merge(this.get('data'), { _id : decodeURIComponent(this.get('id')) });
+        
+        if (!Y.Couch.Replication.isEndpoint(this.get('source')) || !Y.Couch.Replication.isEndpoint(this.get('target'))) {
+            return this._rejectRequest('Cannot replicate ' + Y.Couch.Replication.describeEndpoint(this.get('source')) +
+                ' to ' + Y.Couch.Replication.describeEndpoint(this.get('target')) + '.', 'start');
+        }
+        
+        Y.Array.each(REPLICATION_FIELDS, function (field) {
+            var val = this.get(field);
+            
+            if (val === null || val === undefined) {
+                delete data[field];
+            } else {
+                data[field] = val;
+            }
+        }, this);
+        
+        this._set('data', data);
+        
+        return this.save();
+    },
+    
+    /**
+     * Removes the replication document, which cancels the replication. The
+     *   document is opened first when its revision is not known. Fires
+     *   couch:deleted on success and couch:error on failure.
+     * @public
+     * @method cancel
+     * @return Y.Promise
+     */
+    cancel : function () {
+        Y.log('cancel', 'info', 'Y.Couch.Replication');
+        
+        var documentData = this.get('data');
+        
+        this.stopPolling();
+        
+        if (documentData && documentData._rev) {
+            return this.remove();
+        }
+        
+        return this.open().then(Y.bind(function () {
+            return this.remove();
+        }, this));
+    },
+    
+    /**
+     * Initializes a request to get the status of the replication from
+     *   _scheduler/jobs, falling back to _active_tasks when the server has no
+     *   scheduler. Fires couch:replicationStatus on success and couch:error
+     *   if there is an error.
+     * @public
+     * @method fetchStatus
+     * @return Y.Promise
+     */
+    fetchStatus : function () {
+        Y.log('fetchStatus', 'info', 'Y.Couch.Replication');
+        
+        return this._sendRequest({
+            url : this.get('baseURI') + '/_scheduler/jobs',
+            success : function (response) {
+                return this._fireStatus(response.jobs, response);
+            },
+            failure : function (e) {
+                var response = e.response.results[0];
+                
+                if (response && response.status === 404) {
+                    return this._fetchActiveTasks();
+                }
+            },
+            operation : 'fetchStatus',
+            message : 'An error occurred fetching the replication status'
+        });
+    },
+    
+    /**
+     * Fetches the status every ATTRS.pollInterval milliseconds until
+     *   stopPolling is called
+     * @public
+     * @method startPolling
+     * @chainable
+     */
+    startPolling : function () {
+        Y.log('startPolling', 'info', 'Y.Couch.Replication');
+        
+        if (this.get('polling')) {
+            return this;
+        }
+        
+        this._set('polling', true);
+        this._poll();
+        
+        return this;
+    },
+    
+    /**
+     * Stops polling the status
+     * @public
+     * @method stopPolling
+     * @chainable
+     */
+    stopPolling : function () {
+        Y.log('stopPolling', 'info', 'Y.Couch.Replication');
+        
+        if (this._timer) {
+            this._timer.cancel();
+            this._timer = null;
+        }
+        
+        this._set('polling', false);
+        
+        return this;
+    },
+    
+    /**
+     * Fetches the status and schedules the next request while polling.
+     *   Polling stops when the status cannot be fetched.
+     * @protected
+     * @method _poll
+     */
+    _poll : function () {
+        this._timer = null;
+        
+        this.fetchStatus().then(Y.bind(function () {
+            if (this.get('polling')) {
+                this._timer = Y.later(this.get('pollInterval'), this, this._poll);
+            }
+        }, this), Y.bind(this.stopPolling, this));
+    },
+    
+    /**
+     * Initializes a request to get the status of the replication from
+     *   _active_tasks
+     * @protected
+     * @method _fetchActiveTasks
+     * @return Y.Promise
+     */
+    _fetchActiveTasks : function () {
+        return this._sendRequest({
+            url : this.get('baseURI') + '/_active_tasks',
+            success : function (response) {
+                return this._fireStatus(response, response);
+            },
+            operation : 'fetchStatus',
+            message : 'An error occurred fetching the replication status'
+        });
+    },
+    
+    /**
+     * Finds the job or task of this replication and fires
+     *   couch:replicationStatus with it
+     * @protected
+     * @method _fireStatus
+     * @param jobs {Array} Scheduler jobs or replication tasks
+     * @param response {Object} Full response of the request
+     * @returns {Object} The job or task, or null when it is not running
+     */
+    _fireStatus : function (jobs, response) {
+        var id = decodeURIComponent(this.get('id')),
+            status = null;
+        
+        Y.Array.some(jobs || [], function (job) {
+            if (job['doc_id'] === id && (!job.type || job.type === 'replication')) {
+                status = job;
+                return true;
+            }
+        });
+        
+        this.fire(EVENT_STATUS, {
+            status : status,
+            response : response
+        });
+        
+        return status;
+    },
+    
+    /**
+     * Stores the status in ATTRS.status after a couch:replicationStatus event
+     *   fires
+     * @protected
+     * @method _defStatusFn
+     * @param {Event} e
+     */
+    _defStatusFn : function (e) {
+        Y.log('_defStatusFn', 'info', 'Y.Couch.Replication');
+        this._set('status', e.status);
+    }
+    
+}, {
+    ATTRS : {
+        
+        /**
+         * CouchDB database name
+         * @attribute databaseName
+         * @type String
+         */
+        databaseName : {
+            value : '_replicator'
+        },
+        
+        /**
+         * Database name or url, or an object with url and headers, to
+         *   replicate from
+         * @attribute source
+         * @type String|Object
+         */
+        source : {
+            value : null
+        },
+        
+        /**
+         * Database name or url, or an object with url and headers, to
+         *   replicate to
+         * @attribute target
+         * @type String|Object
+         */
+        target : {
+            value : null
+        },
+        
+        /**
+         * Keeps replicating changes as they are made
+         * @attribute continuous
+         * @type Boolean
+         */
+        continuous : {
+            value : null
+        },
+        
+        /**
+         * Creates the target database when it does not exist
+         * @attribute create_target
+         * @type Boolean
+         */
+        'create_target' : {
+            value : null
+        },
+        
+        /**
+         * Filter function, as designdoc/filtername, applied to replicated
+         *   documents
+         * @attribute filter
+         * @type String
+         */
+        filter : {
+            value : null
+        },
+        
+        /**
+         * Parameters passed to the filter function
+         * @attribute query_params
+         * @type Object
+         */
+        'query_params' : {
+            value : null
+        },
+        
+        /**
+         * Ids of the documents to replicate
+         * @attribute doc_ids
+         * @type Array
+         */
+        'doc_ids' : {
+            value : null
+        },
+        
+        /**
+         * Milliseconds between status requests while polling
+         * @attribute pollInterval
+         * @type Number
+         */
+        pollInterval : {
+            value : 5000,
+            validator : LANG.isNumber
+        },
+        
+        /**
+         * Scheduler job or active task stored from the latest fetchStatus
+         *   call. Null when the replication is not running.
+         * @attribute status
+         * @type Object
+         * @readonly
+         */
+        status : {
+            value : null,
+            readOnly : true
+        },
+        
+        /**
+         * Whether the status is being polled
+         * @attribute polling
+         * @type Boolean
+         * @readonly
+         */
+        polling : {
+            value : false,
+            readOnly : true
+        }
+    }
+});
+
+/**
+ * Returns whether val can be used as a replication source or target, either
+ *   a database name or url or an object with a url
+ * @static
+ * @method isEndpoint
+ * @param val {Any}
+ * @returns {Boolean}
+ */
+Y.Couch.Replication.isEndpoint = function (val) {
+    return (IS_STRING(val) && val !== '') || (IS_OBJECT(val) && IS_STRING(val.url));
+};
+
+/**
+ * Returns the name or url of a replication source or target for messages.
+ *   Credentials in the url are left out, and so are the headers of object
+ *   endpoints since they may hold an Authorization header.
+ * @static
+ * @method describeEndpoint
+ * @param val {String|Object}
+ * @returns {String}
+ */
+Y.Couch.Replication.describeEndpoint = function (val) {
+    if (IS_OBJECT(val)) {
+        val = val.url;
+    }
+    
+    return IS_STRING(val) ? val.replace(/^(\w+:\/\/)[^\/@]*@/, '$1') : String(val);
+};
@@ -0,0 +1,154 @@
+/**
+ * Creates a connection to a show function of a CouchDB design document.
+ *   Show functions format a document, or no document, as HTML, text or JSON.
+ * @module couch
+ * @submodule couch-show
+ * @class Y.Couch.Show
+ * @author Anthony Pipkin
+ */
+
+var EVENT_ERROR = 'couch:error',
+    EVENT_DATA = 'couch:data';
+
+Y.namespace('Couch').Show = Y.Base.create('couch-show', Y.Couch.Base, [], {
+    
+    /**
+     * Fired when a datasource fails. Logs an error message by default.
+     * @event couch:error
+     */
+    
+    /**
+     * Fired when the datasource in fetchData fires successful. By default, will
+     *   store the returned value from fetchData into ATTRS.data
+     * @event couch:data
+     */
+    
+    /**
+     * The uri to the show function. Built by setting ATTRS.baseURI and
+     *   ATTRS.name
+     * @protected
+     * @property _uri
+     */
+    _uri : '',
+    
+    /**
+     * Publish events
+     * @public
+     * @method initializer
+     * @param config {Object} sets ATTRS
+     */
+    initializer : function (config) {
+        this.publish(EVENT_DATA, { defaultFn: this._defDataFn });
+    },
+    
+    /**
+     * Initializes a request to run the show function on a document, or
+     *   without a document when docId is left out. Responses with a JSON
+     *   Content-Type are parsed, others such as HTML are returned as text.
+     *   Fires couch:data on success and couch:error if there is an error.
+     * @public
+     * @method fetchData
+     * @param docId {String} <optional> Id of the document to show
+     * @param options {Object} <optional> Query parameters passed to the show
+     *   function
+     * @return Y.Promise
+     */
+    fetchData : function (docId, options) {
+        Y.log('fetchData', 'info', 'Y.Couch.Show');
+        
+        var url = this._uri;
+        
+        if (docId) {
+            url += '/' + encodeURIComponent(docId);
+        }
+        
+        return this._sendRequest({
+            url : url,
+            data : options,
+            raw : 'auto',
+            event : EVENT_DATA,
+            cache : true,
+            operation : 'fetchData',
+            message : 'An error occurred running the show function ' + this.get('name')
+        });
+    },
+    
+    /**
+     * Concatenates val and ATTRS.name in the local _uri
+     * @protected
+     * @method _baseURISetter
+     * @param {String} val
+     * @returns {String} value to be stored in ATTRS.baseURI
+     */
+    _baseURISetter : function (val) {
+        Y.log('_baseURISetter', 'info', 'Y.Couch.Show');
+        
+        this._uri = val + '/_show/' + this.get('name');
+        
+        return val;
+    },
+    
+    /**
+     * Concatenates ATTRS.baseURI and val in the local _uri
+     * @protected
+     * @method _nameSetter
+     * @param val {String}
+     * @returns {String} value to be stored in ATTRS.name
+     */
+    _nameSetter : function (val) {
+        Y.log('_nameSetter', 'info', 'Y.Couch.Show');
+        
+        this._uri = this.get('baseURI') + '/_show/' + val;
+        
+        return val;
+    },
+    
+    /**
+     * Stores the show function output in ATTRS.data after a couch:data event
+     *   fires
+     * @protected
+     * @method _defDataFn
+     * @param {Event} e
+     */
+    _defDataFn : function (e) {
+        Y.log('_defDataFn', 'info', 'Y.Couch.Show');
+        this._set('data', e.response);
+    }
+    
+}, {
+    ATTRS : {
+        
+        /**
+         * Full URI of the design document
+         * @attribute baseURI
+         * @type String
+         * @see Y.Couch.Show#_baseURISetter
+         */
+        baseURI : {
+            setter : '_baseURISetter'
+        },
+        
+        /**
+         * Name of the show function
+         * @attribute name
+         * @type String
+         * @see Y.Couch.Show#_nameSetter
+         */
+        name : {
+            value : '',
+            setter : '_nameSetter'
+        },
+        
+        /**
+         * Output of the most recent successful request, parsed when it was
+         *   JSON and text otherwise
+         * @attribute data
+         * @type Object|String
+         * @readonly
+         */
+        data : {
+            value : null,
+            readOnly : true
+        }
+    }
+});
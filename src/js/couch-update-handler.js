@@ -0,0 +1,171 @@
+/**
+ * Creates a connection to an update handler of a CouchDB design document.
+ *   Update handlers change a document on the server in one request, such as
+ *   incrementing a counter without a conflict.
+ * @module couch
+ * @submodule couch-update-handler
+ * @class Y.Couch.UpdateHandler
+ * @author Anthony Pipkin
+ */
+
+var LANG = Y.Lang,
+    
+    EVENT_ERROR = 'couch:error',
+    EVENT_UPDATED = 'couch:updated';
+
+Y.namespace('Couch').UpdateHandler = Y.Base.create('couch-update-handler', Y.Couch.Base, [], {
+    
+    /**
+     * Fired when a datasource fails. Logs an error message by default.
+     * @event couch:error
+     */
+    
+    /**
+     * Fired when the datasource in update fires successful. Carries the
+     *   response of the handler, and the id and new revision of the document
+     *   when the handler saved one. By default, will store the response into
+     *   ATTRS.data
+     * @event couch:updated
+     */
+    
+    /**
+     * The uri to the update handler. Built by setting ATTRS.baseURI and
+     *   ATTRS.name
+     * @protected
+     * @property _uri
+     */
+    _uri : '',
+    
+    /**
+     * Publish events
+     * @public
+     * @method initializer
+     * @param config {Object} sets ATTRS
+     */
+    initializer : function (config) {
+        this.publish(EVENT_UPDATED, { defaultFn: this._defUpdatedFn });
+    },
+    
+    /**
+     * Initializes a request to run the update handler. The handler runs on
+     *   the document with docId with a PUT, or without a document with a
+     *   POST. Responses with a JSON Content-Type are parsed, others are
+     *   returned as text. Fires couch:updated on success and couch:error if
+     *   there is an error.
+     * @public
+     * @method update
+     * @param docId {String} <optional> Id of the document to update
+     * @param data {Object|String} <optional> Request body. Objects are sent
+     *   as JSON
+     * @param options {Object} <optional> Query parameters passed to the
+     *   handler
+     * @return Y.Promise
+     */
+    update : function (docId, data, options) {
+        Y.log('update', 'info', 'Y.Couch.UpdateHandler');
+        
+        var url = this._uri;
+        
+        if (docId) {
+            url += '/' + encodeURIComponent(docId);
+        }
+        
+        if (options) {
+            url += '?' + Y.QueryString.stringify(options);
+        }
+        
+        return this._sendRequest({
+            url : url,
+            method : docId ? 'PUT' : 'POST',
+            data : LANG.isObject(data) ? Y.JSON.stringify(data) : data,
+            raw : 'auto',
+            success : function (response, io) {
+                this.fire(EVENT_UPDATED, {
+                    response : response,
+                    id : io.getResponseHeader ? io.getResponseHeader('X-Couch-Id') : null,
+                    rev : io.getResponseHeader ? io.getResponseHeader('X-Couch-Update-NewRev') : null
+                });
+            },
+            operation : 'update',
+            message : 'An error occurred running the update handler ' + this.get('name')
+        });
+    },
+    
+    /**
+     * Concatenates val and ATTRS.name in the local _uri
+     * @protected
+     * @method _baseURISetter
+     * @param {String} val
+     * @returns {String} value to be stored in ATTRS.baseURI
+     */
+    _baseURISetter : function (val) {
+        Y.log('_baseURISetter', 'info', 'Y.Couch.UpdateHandler');
+        
+        this._uri = val + '/_update/' + this.get('name');
+        
+        return val;
+    },
+    
+    /**
+     * Concatenates ATTRS.baseURI and val in the local _uri
+     * @protected
+     * @method _nameSetter
+     * @param val {String}
+     * @returns {String} value to be stored in ATTRS.name
+     */
+    _nameSetter : function (val) {
+        Y.log('_nameSetter', 'info', 'Y.Couch.UpdateHandler');
+        
+        this._uri = this.get('baseURI') + '/_update/' + val;
+        
+        return val;
+    },
+    
+    /**
+     * Stores the handler response in ATTRS.data after a couch:updated event
+     *   fires
+     * @protected
+     * @method _defUpdatedFn
+     * @param {Event} e
+     */
+    _defUpdatedFn : function (e) {
+        Y.log('_defUpdatedFn', 'info', 'Y.Couch.UpdateHandler');
+        this._set('data', e.response);
+    }
+    
+}, {
+    ATTRS : {
+        
+        /**
+         * Full URI of the design document
+         * @attribute baseURI
+         * @type String
+         * @see Y.Couch.UpdateHandler#_baseURISetter
+         */
+        baseURI : {
+            setter : '_baseURISetter'
+        },
+        
+        /**
+         * Name of the update handler
+         * @attribute name
+         * @type String
+         * @see Y.Couch.UpdateHandler#_nameSetter
+         */
+        name : {
+            value : '',
+            setter : '_nameSetter'
+        },
+        
+        /**
+         * Response of the most recent successful update
+         * @attribute data
+         * @type Object|String
+         * @readonly
+         */
+        data : {
+            value : null,
+            readOnly : true
+        }
+    }
+});
@@ -0,0 +1,250 @@
+/**
+ * Manages the users of a CouchDB server stored in the _users database. User
+ *   documents are stored under org.couchdb.user: ids with the user type, and
+ *   passwords are sent in the password field for the server to hash.
+ * @module couch
+ * @submodule couch-users
+ * @class Y.Couch.Users
+ * @extends Y.Couch.DB
+ * @author Anthony Pipkin
+ */
+
+var LANG = Y.Lang,
+    
+    USER_PREFIX = 'org.couchdb.user:',
+    
+    EVENT_USER = 'couch:user',
+    EVENT_USER_CREATED = 'couch:userCreated',
+    EVENT_USER_UPDATED = 'couch:userUpdated',
+    EVENT_USER_DELETED = 'couch:userDeleted';
+
+Y.namespace('Couch').Users = Y.Base.create('couch-users', Y.Couch.DB, [], {
+    
+    /**
+     * Fired when the datasource in fetchUser fires successful. The user
+     *   document is stored in the response property of the event.
+     * @event couch:user
+     */
+    
+    /**
+     * Fired when the datasource in createUser fires successful. Carries the
+     *   name of the user along with the response.
+     * @event couch:userCreated
+     */
+    
+    /**
+     * Fired when the datasource in updateUser or changePassword fires
+     *   successful. Carries the name of the user along with the response.
+     * @event couch:userUpdated
+     */
+    
+    /**
+     * Fired when the datasource in deleteUser fires successful. Carries the
+     *   name of the user along with the response.
+     * @event couch:userDeleted
+     */
+    
+    /**
+     * Initializes a request to get the document of a user. Fires couch:user
+     *   on success and couch:error if there is an error.
+     * @public
+     * @method fetchUser
+     * @param name {String} Name of the user
+     * @return Y.Promise Resolves with the user document
+     */
+    fetchUser : function (name) {
+        Y.log('fetchUser', 'info', 'Y.Couch.Users');
+        
+        return this._sendRequest({
+            url : this._getUserURI(name),
+            event : EVENT_USER,
+            operation : 'fetchUser',
+            message : 'An error occurred fetching the user ' + name
+        });
+    },
+    
+    /**
+     * Initializes a request to create a user. Fires couch:userCreated on
+     *   success and couch:error if there is an error.
+     * @public
+     * @method createUser
+     * @param name {String} Name of the user
+     * @param password {String} Password of the user
+     * @param roles {Array} <optional> Roles of the user
+     * @param fields {Object} <optional> Other fields stored in the user
+     *   document
+     * @return Y.Promise
+     */
+    createUser : function (name, password, roles, fields) {
+        Y.log('createUser', 'info', 'Y.Couch.Users');
+        
+        if (!LANG.isString(name) || !name) {
+            return this._rejectRequest('A user needs a name.', 'createUser');
+        }
+        
+        return this._saveUser(Y.merge(fields, {
+            _id : Y.Couch.Users.getUserId(name),
+            name : name,
+            type : 'user',
+            roles : roles || [],
+            password : password
+        }), EVENT_USER_CREATED, 'createUser');
+    },
+    
+    /**
+     * Fetches the document of a user and saves it with the changes merged
+     *   in, such as new roles or a new password. Fires couch:userUpdated on
+     *   success and couch:error if there is an error.
+     * @public
+     * @method updateUser
+     * @param name {String} Name of the user
+     * @param changes {Object} Fields to change
+     * @return Y.Promise
+     */
+    updateUser : function (name, changes) {
+        Y.log('updateUser', 'info', 'Y.Couch.Users');
+        
+        return this._changeUser(name, changes, 'updateUser');
+    },
+    
+    /**
+     * Sets a new password for a user. Fires couch:userUpdated on success and
+     *   couch:error if there is an error.
+     * @public
+     * @method changePassword
+     * @param name {String} Name of the user
+     * @param password {String} New password
+     * @return Y.Promise
+     */
+    changePassword : function (name, password) {
+        Y.log('changePassword', 'info', 'Y.Couch.Users');
+        
+        return this._changeUser(name, { password : password }, 'changePassword');
+    },
+    
+    /**
+     * Fetches the revision of a user and deletes the user. Fires
+     *   couch:userDeleted on success and couch:error if there is an error.
+     * @public
+     * @method deleteUser
+     * @param name {String} Name of the user
+     * @return Y.Promise
+     */
+    deleteUser : function (name) {
+        Y.log('deleteUser', 'info', 'Y.Couch.Users');
+        
+        return this._fetchForOperation(name, 'deleteUser').then(Y.bind(function (user) {
+            return this._sendRequest({
+                url : this._getUserURI(name) + '?' + Y.QueryString.stringify({ rev : user._rev }),
+                method : 'DELETE',
+                success : function (response) {
+                    this.fire(EVENT_USER_DELETED, {
+                        name : name,
+                        response : response
+                    });
+                },
+                operation : 'deleteUser',
+                message : 'An error occurred deleting the user ' + name
+            });
+        }, this));
+    },
+    
+    /**
+     * Fetches the document of a user, merges the changes and saves it. The
+     *   id, name and type of the user cannot be changed.
+     * @protected
+     * @method _changeUser
+     * @param name {String}
+     * @param changes {Object}
+     * @param operation {String} Name of the calling method
+     * @return Y.Promise
+     */
+    _changeUser : function (name, changes, operation) {
+        return this._fetchForOperation(name, operation).then(Y.bind(function (user) {
+            return this._saveUser(Y.merge(user, changes, {
+                _id : user._id,
+                _rev : user._rev,
+                name : user.name,
+                type : 'user'
+            }), EVENT_USER_UPDATED, operation);
+        }, this));
+    },
+    
+    /**
+     * Fetches the document of a user, naming the calling method in errors
+     * @protected
+     * @method _fetchForOperation
+     * @param name {String}
+     * @param operation {String} Name of the calling method
+     * @return Y.Promise
+     */
+    _fetchForOperation : function (name, operation) {
+        return this._sendRequest({
+            url : this._getUserURI(name),
+            operation : operation,
+            message : 'An error occurred fetching the user ' + name
+        });
+    },
+    
+    /**
+     * Saves a user document and fires eventName on success
+     * @protected
+     * @method _saveUser
+     * @param user {Object} User document
+     * @param eventName {String}
+     * @param operation {String} Name of the calling method
+     * @return Y.Promise
+     */
+    _saveUser : function (user, eventName, operation) {
+        return this._sendRequest({
+            url : this._getUserURI(user.name),
+            method : 'PUT',
+            data : Y.JSON.stringify(user),
+            success : function (response) {
+                this.fire(eventName, {
+                    name : user.name,
+                    response : response
+                });
+            },
+            operation : operation,
+            message : 'An error occurred saving the user ' + user.name
+        });
+    },
+    
+    /**
+     * Returns the uri of the document of a user
+     * @protected
+     * @method _getUserURI
+     * @param name {String}
+     * @returns {String}
+     */
+    _getUserURI : function (name) {
+        return this._uri + encodeURIComponent(Y.Couch.Users.getUserId(name));
+    }
+    
+}, {
+    ATTRS : {
+        
+        /**
+         * Name of the users database
+         * @attribute name
+         * @type String
+         * @see Y.Couch.DB#_nameSetter
+         */
+        name : {
+            value : '_users',
+            setter : '_nameSetter'
+        }
+    }
+});
+
+/**
+ * Returns the id of the document of a user
+ * @static
+ * @method getUserId
+ * @param name {String} Name of the user
+ * @returns {String}
+ */
+Y.Couch.Users.getUserId = function (name) {
+    return name.indexOf(USER_PREFIX) === 0 ? name : USER_PREFIX + name;
+};
@@ -10,9 +10,35 @@
 var LANG = Y.Lang,
     IS_BOOLEAN = LANG.isBoolean,
     IS_NUMBER = LANG.isNumber,
+    IS_ARRAY = LANG.isArray,
+    
+    /**
+     * Number of rows per page when ATTRS.limit is not set
+     * @private
+     * @property DEFAULT_PAGE_SIZE
+     */
+    DEFAULT_PAGE_SIZE = 20,
+    
+    /**
+     * View query parameters which are sent as JSON
+     * @private
+     * @property JSON_PARAMS
+     */
+    JSON_PARAMS = ['key', 'startkey', 'endkey'],
+    
+    /**
+     * ATTRS which are not sent as view query parameters
+     * @private
+     * @property NON_QUERY_ATTRS
+     */
+    NON_QUERY_ATTRS = [
+        'baseURI', 'name', 'dataSource', 'dataSourceConfig', 'destroyed', 'initialized', 'data',
+        'credentials', 'withCredentials', 'retry', 'offline', 'connect', 'page', 'hasNext', 'hasPrev'
+    ],
     
     EVENT_ERROR = 'couch:error',
-    EVENT_DATA = 'couch:data';
+    EVENT_DATA = 'couch:data',
+    EVENT_PAGE = 'couch:page';
 
 
 Y.namespace('Couch').View = Y.Base.create('couch-view', Y.Couch.Base, [], {
@@ -28,6 +54,14 @@ Y.namespace('Couch').View = Y.Base.create('couch-view', Y.Couch.Base, [], {
      * @event couch:data
      */
     
+    /**
+     * Fired when firstPage, nextPage or prevPage fires successful. Carries the
+     *   page number, the rows of the page and whether there are next and
+     *   previous pages. By default, will store the page state into ATTRS.page,
+     *   ATTRS.hasNext and ATTRS.hasPrev
+     * @event couch:page
+     */
+    
     /**
      * The uri to the view. Built by setting ATTRS.baseURI and ATTRS.name 
      * @protected
@@ -35,6 +69,28 @@ Y.namespace('Couch').View = Y.Base.create('couch-view', Y.Couch.Base, [], {
      */
     _uri : '',
     
+    /**
+     * Start markers of the pages before the current page
+     * @protected
+     * @property _pages
+     */
+    _pages : null,
+    
+    /**
+     * Start marker of the current page
+     * @protected
+     * @property _pageStart
+     */
+    _pageStart : null,
+    
+    /**
+     * Start marker of the next page, taken from the extra row fetched with
+     *   the current page
+     * @protected
+     * @property _nextStart
+     */
+    _nextStart : null,
+    
     /**
      * Publish events
      * @public
@@ -43,6 +99,9 @@ Y.namespace('Couch').View = Y.Base.create('couch-view', Y.Couch.Base, [], {
      */
     initializer : function(config) {
         this.publish(EVENT_DATA, { defaultFn: this._defDataFn });
+        this.publish(EVENT_PAGE, { defaultFn: this._defPageFn });
+        
+        this._pages = [];
     },
     
     /**
@@ -50,60 +109,206 @@ Y.namespace('Couch').View = Y.Base.create('couch-view', Y.Couch.Base, [], {
      *   Fires couch:data on success and couch:error if there is an error.
      * @public
      * @method fetchData
-     * @return Y.Couch.DataSource
+     * @return Y.Promise
      */
     fetchData : function () {
         Y.log('fetchData', 'info', 'Y.Couch.Document');
         
-        var ds = this._getDataSource(true),
-            url = this._uri,
-            callbacks = {
+        return this._queryView(this._getRequestData(), {
+            event : EVENT_DATA,
+            operation : 'fetchData',
+            message : 'An error occurred fetching the information for the databases'
+        });
+    },
+    
+    /**
+     * Fetches the first page of the view, starting from ATTRS.startkey,
+     *   ATTRS.startkey_docid and ATTRS.skip. Pages hold ATTRS.limit rows.
+     *   Fires couch:page on success and couch:error if there is an error.
+     * @public
+     * @method firstPage
+     * @return Y.Promise
+     */
+    firstPage : function () {
+        Y.log('firstPage', 'info', 'Y.Couch.View');
+        
+        return this._fetchPage({
+            startkey : this.get('startkey'),
+            'startkey_docid' : this.get('startkey_docid'),
+            skip : this.get('skip')
+        }, 1, [], 'firstPage');
+    },
+    
+    /**
+     * Fetches the page after the current page. Continues from the key and
+     *   document id of the first row not shown rather than skipping rows.
+     *   Fires couch:page on success and couch:error if there is an error.
+     * @public
+     * @method nextPage
+     * @return Y.Promise
+     */
+    nextPage : function () {
+        Y.log('nextPage', 'info', 'Y.Couch.View');
+        
+        if (!this.get('hasNext')) {
+            return this._rejectRequest('There is no next page for this view.', 'nextPage');
+        }
+        
+        return this._fetchPage(this._nextStart, this.get('page') + 1, this._pages.concat([this._pageStart]), 'nextPage');
+    },
+    
+    /**
+     * Fetches the page before the current page. Fires couch:page on success
+     *   and couch:error if there is an error.
+     * @public
+     * @method prevPage
+     * @return Y.Promise
+     */
+    prevPage : function () {
+        Y.log('prevPage', 'info', 'Y.Couch.View');
+        
+        var pages = this._pages;
+        
+        if (!this.get('hasPrev')) {
+            return this._rejectRequest('There is no previous page for this view.', 'prevPage');
+        }
+        
+        return this._fetchPage(pages[pages.length - 1], this.get('page') - 1, pages.slice(0, -1), 'prevPage');
+    },
+    
+    /**
+     * Initializes a request for one page of the view. One row more than the
+     *   page size is fetched to find the start of the next page. The page
+     *   markers are only replaced once the page arrives, so a failed request
+     *   keeps the current page.
+     * @protected
+     * @method _fetchPage
+     * @param start {Object} startkey, startkey_docid and skip of the page
+     * @param page {Number} Number of the page
+     * @param pages {Array} Start markers of the pages before the page
+     * @param operation {String} Name of the calling method
+     * @return Y.Promise
+     */
+    _fetchPage : function (start, page, pages, operation) {
+        var pageSize = this._getPageSize(),
+            requestData = this._getRequestData();
+        
+        delete requestData.startkey;
+        delete requestData['startkey_docid'];
+        delete requestData.skip;
+        
+        Y.Object.each(start || {}, function (val, key) {
+            if (val !== null && val !== undefined) {
+                requestData[key] = val;
+            }
+        });
+        
+        requestData.limit = pageSize + 1;
+        
+        return this._queryView(requestData, {
+            success : function (response) {
+                var rows = response.rows || [],
+                    next = rows.length > pageSize ? rows[pageSize] : null;
+                
+                response.rows = rows.slice(0, pageSize);
                 
-                success: Y.bind(function (e) {
-                    this.fire(EVENT_DATA, {
-                        response: Y.JSON.parse(e.response.results[0].responseText)
-                    });
-                }, this),
+                this._pages = pages;
+                this._pageStart = start;
+                this._nextStart = next && {
+                    startkey : next.key,
+                    'startkey_docid' : next.id,
+                    skip : 0
+                };
                 
-                failure: Y.bind(function (e) {
-                    this.fire(EVENT_ERROR, {
-                        message : 'An error occurred fetching the information for the databases: ' + e.error.message
-                    });
-                }, this)
+                this.fire(EVENT_DATA, { response : response });
+                this.fire(EVENT_PAGE, {
+                    response : response,
+                    rows : response.rows,
+                    page : page,
+                    hasNext : !!next,
+                    hasPrev : pages.length > 0
+                });
             },
-            attrs = this.getAttrs(),
-            requestData = {};
+            operation : operation,
+            message : 'An error occurred fetching the page of the view'
+        });
+    },
+    
+    /**
+     * Sends the view request. Keys are JSON encoded, and when ATTRS.keys is
+     *   set the request is sent as a POST with the keys in the body.
+     * @protected
+     * @method _queryView
+     * @param requestData {Object} View query parameters
+     * @param config {Object} Request configuration for _sendRequest
+     * @return Y.Promise
+     */
+    _queryView : function (requestData, config) {
+        var url = this._uri,
+            keys = requestData.keys,
+            method = 'GET',
+            data;
+        
+        delete requestData.keys;
+        
+        Y.Array.each(JSON_PARAMS, function (key) {
+            if (requestData[key] !== undefined) {
+                requestData[key] = Y.JSON.stringify(requestData[key]);
+            }
+        });
+        
+        if (IS_ARRAY(keys)) {
+            method = 'POST';
+            url += '?' + Y.QueryString.stringify(requestData);
+            data = Y.JSON.stringify({ keys : keys });
+        } else {
+            data = requestData;
+        }
+        
+        return this._sendRequest(Y.merge(config, {
+            url : url,
+            method : method,
+            data : data,
+            idempotent : true,
+            cache : true
+        }));
+    },
+    
+    /**
+     * Returns the number of rows per page
+     * @protected
+     * @method _getPageSize
+     * @returns {Number}
+     */
+    _getPageSize : function () {
+        var limit = this.get('limit');
+        
+        return IS_NUMBER(limit) && limit > 0 ? limit : DEFAULT_PAGE_SIZE;
+    },
+    
+    /**
+     * Returns the view query parameters stored in ATTRS
+     * @protected
+     * @method _getRequestData
+     * @returns {Object}
+     */
+    _getRequestData : function () {
+        var requestData = {};
         
         // clean up ATTRS to prevent erroneous data in the request
-        Y.Object.each(attrs, function(val, key, obj){
+        Y.Object.each(this.getAttrs(), function(val, key, obj){
             if (val === null || val === undefined) {
                 return;
             }
             
-            if (
-                key === 'baseURI' || key === 'name' || key === 'dataSource' ||
-                key === 'destroyed' || key === 'initialized' || key === 'data'
-            ) {
+            if (Y.Array.indexOf(NON_QUERY_ATTRS, key) > -1) {
                 return;
             }
             
             requestData[key] = val;
         });
         
-        ds.set('source', url);
-        
-        ds.sendRequest({
-            cfg : {
-                headers : {
-                    'Content-Type' : 'application/json'
-                },
-                method : 'GET',
-                data : requestData
-            },
-            callback : callbacks
-        });
-        
-        return ds;
+        return requestData;
     },
     
     /**
@@ -145,6 +350,19 @@ Y.namespace('Couch').View = Y.Base.create('couch-view', Y.Couch.Base, [], {
     _defDataFn : function (e) {
         Y.log('_defDataFn', 'info', 'Y.Couch.View');
         this._set('data', e.response);
+    },
+    
+    /**
+     * Stores the page state after a couch:page event fires
+     * @protected
+     * @method _defPageFn
+     * @param {Event} e
+     */
+    _defPageFn : function (e) {
+        Y.log('_defPageFn', 'info', 'Y.Couch.View');
+        this._set('page', e.page);
+        this._set('hasNext', e.hasNext);
+        this._set('hasPrev', e.hasPrev);
     }
     
 }, {
@@ -189,9 +407,10 @@ Y.namespace('Couch').View = Y.Base.create('couch-view', Y.Couch.Base, [], {
         },
         
         /**
-         * Specific key to end on. Must be a proper URL encoded JSON value.
+         * Specific key to end on. Any JSON value, such as a string or an
+         *   array for compound keys. Encoded as JSON for the request.
          * @attribute endkey
-         * @type String
+         * @type Any
          */
         endkey : {},
         
@@ -243,12 +462,25 @@ Y.namespace('Couch').View = Y.Base.create('couch-view', Y.Couch.Base, [], {
         },
         
         /**
-         * The actual key all results must match
+         * The actual key all results must match. Any JSON value, encoded as
+         *   JSON for the request.
          * @attribute key
-         * @type String
+         * @type Any
          */
         key : {},
         
+        /**
+         * Keys all results must match one of. When set, the request is sent
+         *   as a POST with the keys in the body.
+         * @attribute keys
+         * @type Array
+         */
+        keys : {
+            validator : function (val) {
+                return val === null || IS_ARRAY(val);
+            }
+        },
+        
         /**
          * Limit the number of documents in the output
          * @attribute limit
@@ -291,9 +523,10 @@ Y.namespace('Couch').View = Y.Base.create('couch-view', Y.Couch.Base, [], {
         },
         
         /**
-         * Specific key to start with. Must be a proper URL encoded JSON value.
+         * Specific key to start with. Any JSON value, such as a string or an
+         *   array for compound keys. Encoded as JSON for the request.
          * @attribute startkey
-         * @type String
+         * @type Any
          */
         startkey : {},
         
@@ -303,7 +536,40 @@ Y.namespace('Couch').View = Y.Base.create('couch-view', Y.Couch.Base, [], {
          * @attribute startkey_docid
          * @type String
          */
-        'startkey_docid' :  {}
+        'startkey_docid' :  {},
+        
+        /**
+         * Number of the current page, starting at 1. 0 until a page is fetched.
+         * @attribute page
+         * @type Number
+         * @readonly
+         */
+        page : {
+            value : 0,
+            readOnly : true
+        },
+        
+        /**
+         * Whether there is a page after the current page
+         * @attribute hasNext
+         * @type Boolean
+         * @readonly
+         */
+        hasNext : {
+            value : false,
+            readOnly : true
+        },
+        
+        /**
+         * Whether there is a page before the current page
+         * @attribute hasPrev
+         * @type Boolean
+         * @readonly
+         */
+        hasPrev : {
+            value : false,
+            readOnly : true
+        }
         
     }
 });
@@ -0,0 +1,112 @@
+YUI.add('couch-changes-tests', function (Y) {
+    
+    var Assert = Y.Assert,
+        suite = new Y.Test.Suite('couch-changes');
+    
+    /**
+     * Returns a Y.io stand-in which keeps every request open until finish
+     *   is called on its transaction. Tests pass streamed chunks to
+     *   cfg.progress of the transaction.
+     * @private
+     * @method fakeIO
+     * @param requests {Array} Receives the transaction of every request
+     * @returns {Function}
+     */
+    function fakeIO(requests) {
+        return function (uri, cfg) {
+            var transaction = { id : Y.guid('couch-changes-') },
+                open = true;
+            
+            transaction.cfg = cfg;
+            
+            transaction.finish = function (responseText, status) {
+                if (open) {
+                    open = false;
+                    cfg.on[(status || 200) < 400 ? 'success' : 'failure'].call(cfg.context, transaction.id, {
+                        status : status || 200,
+                        responseText : responseText,
+                        getResponseHeader : function () {
+                            return null;
+                        }
+                    }, cfg['arguments']);
+                }
+            };
+            
+            transaction.abort = function () {
+                transaction.finish('', 0);
+            };
+            
+            transaction.isInProgress = function () {
+                return open;
+            };
+            
+            requests.push(transaction);
+            
+            return transaction;
+        };
+    }
+    
+    suite.add(new Y.Test.Case({
+        
+        name : 'Invalid responses',
+        
+        setUp : function () {
+            var errors = this.errors = [];
+            
+            this.requests = [];
+            this.ds = new Y.Couch.DataSource({ io : fakeIO(this.requests) });
+            this.changes = new Y.Couch.Changes({
+                baseURI : 'http://localhost:5984',
+                databaseName : 'test',
+                dataSource : this.ds
+            });
+            
+            this.changes.on('couch:error', function (e) {
+                errors.push(e.error);
+            });
+        },
+        
+        tearDown : function () {
+            this.changes.destroy();
+            this.ds.destroy();
+        },
+        
+        'a response which is not JSON fires couch:error and stops the feed' : function () {
+            this.changes.set('pollInterval', 10);
+            this.changes.start();
+            this.requests[0].finish('<html>Bad Gateway</html>');
+            
+            Assert.areSame(1, this.errors.length);
+            Assert.isInstanceOf(Y.Couch.Error, this.errors[0]);
+            Assert.isFalse(this.changes.get('running'));
+            
+            this.wait(function () {
+                Assert.areSame(1, this.requests.length);
+            }, 50);
+        },
+        
+        'a continuous line which is not JSON fires couch:error and stops the feed' : function () {
+            var changes = [],
+                request;
+            
+            this.changes.set('feed', 'continuous');
+            this.changes.on('couch:change', function (e) {
+                changes.push(e.change.id);
+            });
+            this.changes.start();
+            
+            request = this.requests[0];
+            request.cfg.progress('{"seq":1,"id":"a"}\n');
+            request.cfg.progress('{"seq":2,\n');
+            
+            Assert.areSame(1, changes.length);
+            Assert.areSame(1, this.errors.length);
+            Assert.isFalse(this.changes.get('running'));
+            Assert.isFalse(request.isInProgress());
+            Assert.areSame(1, this.changes.get('since'));
+        }
+    }));
+    
+    Y.Test.Runner.add(suite);
+    
+}, '@VERSION@', { requires : ['test', 'couch-changes'] });
@@ -0,0 +1,60 @@
+/**
+ * Registers the couch modules straight from src/js, so the tests run against
+ *   the sources without an ant build. The modules and their requirements are
+ *   read from the same properties files the build uses.
+ * @private
+ * @method registerCouchModules
+ * @param YUI {Function} YUI global the modules are added to
+ * @param read {Function} Returns the text of a file given its path relative
+ *   to src/
+ * @param {Object} <optional> aliases Requirements to load in place of others,
+ *   such as event-custom in place of event outside of a browser
+ * @returns {Array} Names of the registered modules
+ */
+var registerCouchModules = function (YUI, read, aliases) {
+    
+    /**
+     * Returns the key=value pairs of a properties file
+     * @private
+     * @method readProperties
+     * @param path {String}
+     * @returns {Object}
+     */
+    function readProperties(path) {
+        var props = {};
+        
+        read(path).replace(/^([\w.]+)=(.*)$/mg, function (match, key, val) {
+            props[key] = val.replace(/^\s+|\s+$/g, '');
+        });
+        
+        return props;
+    }
+    
+    var buildfiles = readProperties('build.properties')['component.rollup.modules.buildfiles'],
+        names = [],
+        i, j, props, requires;
+    
+    aliases = aliases || {};
+    buildfiles = buildfiles.split(/\s*,\s*/);
+    
+    for (i = 0; i < buildfiles.length; i += 1) {
+        props = readProperties(buildfiles[i].replace(/\.xml$/, '.properties'));
+        requires = props['component.requires'] ? props['component.requires'].split(/\s*,\s*/) : [];
+        
+        for (j = 0; j < requires.length; j += 1) {
+            requires[j] = aliases[requires[j]] || requires[j];
+        }
+        
+        YUI.add(props.component, new Function('Y', read('js/' + props['component.jsfiles'])), '@VERSION@', {
+            requires : requires
+        });
+        
+        names.push(props.component);
+    }
+    
+    return names;
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = registerCouchModules;
+}
@@ -0,0 +1,55 @@
+/**
+ * Runs the unit tests in node. Exits with 1 when a test fails.
+ *
+ *   cd src/tests && npm install && npm test
+ */
+
+var fs = require('fs'),
+    path = require('path'),
+    YUI = require('yui').YUI,
+    registerCouchModules = require('./assets/couch-modules.js'),
+    
+    SRC = path.join(__dirname, '..', '..'),
+    
+    /**
+     * Test modules in assets/ to run
+     * @private
+     * @property TESTS
+     */
+    TESTS = ['couch-memory-datasource-tests', 'couch-changes-tests'],
+    
+    Y;
+
+global.YUI = YUI;
+
+registerCouchModules(YUI, function (file) {
+    return fs.readFileSync(path.join(SRC, file), 'utf8');
+}, {
+    // the rollups pull in DOM modules which do not run in node
+    event : 'event-custom',
+    datasource : 'datasource-io'
+});
+
+TESTS.forEach(function (name) {
+    require(path.join(__dirname, 'assets', name + '.js'));
+});
+
+Y = YUI({ useSync : true, logFn : function () {} });
+
+Y.use.apply(Y, TESTS.concat(['test', function (Y) {
+    var Runner = Y.Test.Runner;
+    
+    Runner.on(Runner.TEST_FAIL_EVENT, function (e) {
+        console.log('FAIL ' + e.testCase.name + ': ' + e.testName + '\n    ' + e.error.getMessage());
+    });
+    
+    Runner.on(Runner.COMPLETE_EVENT, function (e) {
+        console.log(e.results.passed + ' passed, ' + e.results.failed + ' failed, ' +
+            e.results.ignored + ' ignored');
+        
+        process.exitCode = e.results.failed ? 1 : 0;
+    });
+    
+    Runner.setName('couch');
+    Runner.run();
+}]));